@@ -0,0 +1,60 @@
+/*
+ * Boredom Dial embed loader - drop a live, read-only collective dial into any page:
+ *
+ *   <div data-boredom-dial="ROOM_ID" data-size="240" data-theme="light" data-join="1"></div>
+ *   <script src="https://your-dial-server/embed.js" async></script>
+ *
+ * Every element with data-boredom-dial gets an iframe of /embed/ROOM_ID from
+ * the server this script was loaded from. Options (all optional):
+ *   data-size   dial size in pixels, 120-600 (default 240)
+ *   data-theme  dark, light or transparent (default dark)
+ *   data-count  "0" hides the participant count
+ *   data-join   "1" shows a link to join the room
+ * Embeds only watch the room - they never count as participants.
+ * Elements added later can be picked up with window.BoredomDial.mount().
+ */
+(function () {
+  var script = document.currentScript;
+  var origin = script && script.src ? new URL(script.src).origin : window.location.origin;
+  var OPTIONS = ['size', 'theme', 'count', 'join'];
+
+  var mount = function (el) {
+    if (el.getAttribute('data-boredom-mounted')) return;
+    el.setAttribute('data-boredom-mounted', '1');
+
+    var params = new URLSearchParams();
+    OPTIONS.forEach(function (name) {
+      var value = el.getAttribute('data-' + name);
+      if (value !== null) params.set(name, value);
+    });
+
+    // Keep in sync with EmbedPage in src/App.js!
+    var size = Math.max(120, Math.min(600, parseInt(params.get('size'), 10) || 240));
+    var query = params.toString();
+
+    var iframe = document.createElement('iframe');
+    iframe.src = origin + '/embed/' + encodeURIComponent(el.getAttribute('data-boredom-dial') || 'global') +
+      (query ? '?' + query : '');
+    iframe.title = 'Collective boredom dial';
+    iframe.loading = 'lazy';
+    // Leave room around the dial for its label, the count and the join link
+    iframe.width = String(size + 40);
+    iframe.height = String(size + 120);
+    iframe.style.border = '0';
+    iframe.style.background = 'transparent';
+    iframe.setAttribute('allowtransparency', 'true');
+    el.appendChild(iframe);
+  };
+
+  var mountAll = function () {
+    Array.prototype.forEach.call(document.querySelectorAll('[data-boredom-dial]'), mount);
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountAll);
+  } else {
+    mountAll();
+  }
+
+  window.BoredomDial = { mount: mountAll };
+})();
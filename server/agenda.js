@@ -0,0 +1,121 @@
+// Agenda: the talks or topics of a session, advanced live by the host.
+//
+// room.agenda = {
+//   segments: [{ id, title, speaker, minutes }],
+//   current: index of the running segment, -1 before the first / after the last,
+//   autoAdvance: a passed veto moves on to the next segment,
+//   runs: [{ segmentId, startedAt, endedAt }] - when each segment was on
+// }
+// Stats samples and vetoes are tagged with the segment that was running, so
+// boredom can be attributed to each talk.
+
+const crypto = require('crypto');
+
+const MAX_SEGMENTS = 30;
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+// Clean up host-supplied segments, keeping ids of segments that already exist
+const normalizeSegments = (input, existing = []) => {
+  if (!Array.isArray(input)) return [];
+
+  const used = new Set();
+  return input.slice(0, MAX_SEGMENTS)
+    .map(segment => (typeof segment === 'string' ? { title: segment } : segment))
+    .filter(segment => segment && text(segment.title, 80))
+    .map(segment => {
+      // An edited agenda keeps the ids (and so the history) of segments it still has
+      const title = text(segment.title, 80);
+      let id = text(segment.id, 40) || existing.find(s => s.title === title && !used.has(s.id))?.id;
+      if (!id || used.has(id)) id = crypto.randomBytes(4).toString('hex');
+      used.add(id);
+
+      const minutes = Number(segment.minutes);
+      return {
+        id,
+        title,
+        speaker: text(segment.speaker, 60),
+        minutes: Number.isFinite(minutes) && minutes > 0 ? Math.min(600, Math.round(minutes)) : null
+      };
+    });
+};
+
+// A fresh agenda, or a saved one brought back
+const createAgenda = (input) => {
+  const segments = normalizeSegments(input?.segments);
+  const current = Number.isInteger(input?.current) && input.current < segments.length ? input.current : -1;
+  return {
+    segments,
+    current,
+    autoAdvance: Boolean(input?.autoAdvance),
+    runs: Array.isArray(input?.runs) ? input.runs : []
+  };
+};
+
+const currentSegment = (agenda) => agenda.segments[agenda.current] || null;
+
+// Close the running segment and start segment `index` (-1 or past the end stops)
+const goToSegment = (agenda, index, now = Date.now()) => {
+  const next = Number.isInteger(index) && index >= 0 && index < agenda.segments.length ? index : -1;
+  if (next === agenda.current) return false;
+
+  const open = agenda.runs[agenda.runs.length - 1];
+  if (open && !open.endedAt) open.endedAt = now;
+
+  agenda.current = next;
+  if (next !== -1) {
+    agenda.runs.push({ segmentId: agenda.segments[next].id, startedAt: now, endedAt: null });
+  }
+  return true;
+};
+
+// Replace the segments, carrying on with the running one if it is still there
+const setSegments = (agenda, input, now = Date.now()) => {
+  const running = currentSegment(agenda);
+  const segments = normalizeSegments(input, agenda.segments);
+  const stillThere = running ? segments.findIndex(s => s.id === running.id) : -1;
+
+  if (running && stillThere === -1) goToSegment(agenda, -1, now);
+  agenda.segments = segments;
+  agenda.current = stillThere;
+};
+
+// The agenda as sent with room stats
+const agendaState = (agenda) => {
+  if (agenda.segments.length === 0) return null;
+  const open = agenda.runs[agenda.runs.length - 1];
+  return {
+    segments: agenda.segments,
+    current: agenda.current,
+    autoAdvance: agenda.autoAdvance,
+    startedAt: agenda.current !== -1 && open && !open.endedAt ? open.startedAt : null
+  };
+};
+
+// Average, peak and vetoes of every segment, from the tagged history
+const summarizeSegments = (room, now = Date.now()) => room.agenda.segments.map(segment => {
+  const samples = room.history.filter(sample => sample.segment === segment.id);
+  const vetoes = room.vetoes.filter(veto => veto.segment === segment.id);
+  const runs = room.agenda.runs.filter(run => run.segmentId === segment.id);
+
+  return {
+    ...segment,
+    startedAt: runs.length > 0 ? runs[0].startedAt : null,
+    seconds: Math.round(runs.reduce((sum, run) => sum + (run.endedAt || now) - run.startedAt, 0) / 1000),
+    average: samples.length > 0
+      ? Math.round(samples.reduce((sum, sample) => sum + sample.average, 0) / samples.length)
+      : null,
+    peak: samples.length > 0 ? Math.max(...samples.map(sample => sample.average)) : null,
+    vetoes: vetoes.length,
+    vetoesPassed: vetoes.filter(veto => veto.passed).length
+  };
+});
+
+module.exports = {
+  createAgenda,
+  currentSegment,
+  goToSegment,
+  setSegments,
+  agendaState,
+  summarizeSegments
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+
+// Simulated participants.
+//
+// Personalities come from a config file (bots.json by default). Each one runs
+// a model that turns its current value into the next. One engine ticks every
+// bot in every room. Each room draws from its own generator, seeded from the
+// engine's seed and the room id, so a given seed replays the same simulation
+// in a room whatever happens in the others.
+
+const BOTS_CONFIG = process.env.BOTS_CONFIG || path.join(__dirname, 'bots.json');
+const BOT_TICK = 250; // How often the engine looks for bots that are due
+const MAX_ROOM_BOTS = 8;
+
+// mulberry32 - tiny, fast and good enough for wobbling dials
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a, to turn the engine seed and a room id into the room's seed
+const roomSeed = (seed, roomId) => {
+  let hash = 0x811c9dc5;
+  for (const char of `${seed}:${roomId}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const clamp = (value) => Math.max(0, Math.min(100, value));
+
+// Value of a timeline of { at (seconds), value } points at `elapsed` ms,
+// interpolating between points and holding the ends
+const timelineValue = (timeline, loop, elapsed) => {
+  const last = timeline[timeline.length - 1];
+  let seconds = elapsed / 1000;
+  if (loop && last.at > 0) seconds %= last.at;
+
+  if (seconds <= timeline[0].at) return timeline[0].value;
+  const nextIndex = timeline.findIndex(point => point.at > seconds);
+  if (nextIndex === -1) return last.value;
+
+  const from = timeline[nextIndex - 1];
+  const to = timeline[nextIndex];
+  return from.value + (to.value - from.value) * ((seconds - from.at) / (to.at - from.at));
+};
+
+// Models: (personality, { value, random, roomAverage, elapsed }) => next value
+const MODELS = {
+  // Wander freely, a little every step
+  randomWalk: (p, { value, random }) => value + (random() - 0.5) * p.volatility,
+
+  // Wander, but keep being pulled back toward a resting value
+  meanReverting: (p, { value, random }) =>
+    value + (p.target - value) * (p.reversion ?? 0.1) + (random() - 0.5) * p.volatility,
+
+  // Drift toward how everyone else in the room feels
+  follower: (p, { value, random, roomAverage }) =>
+    value + (roomAverage + (p.offset || 0) - value) * (p.lag ?? 0.3) + (random() - 0.5) * (p.volatility || 0),
+
+  // Play back a timeline, from when the bot joined
+  scripted: (p, { elapsed }) => timelineValue(p.timeline, p.loop, elapsed)
+};
+
+const startValue = (p) => {
+  if (typeof p.start === 'number') return clamp(p.start);
+  if (p.model === 'scripted') return clamp(p.timeline[0].value);
+  if (typeof p.target === 'number') return clamp(p.target);
+  return 50;
+};
+
+// Keep only personalities we can run
+const validPersonality = (id, p) => {
+  if (!p || !MODELS[p.model]) return false;
+  if (!Number.isFinite(p.interval) || p.interval < 100) return false;
+  if (p.model === 'scripted') {
+    return Array.isArray(p.timeline) && p.timeline.length > 0 &&
+      p.timeline.every(point => Number.isFinite(point.at) && Number.isFinite(point.value));
+  }
+  return true;
+};
+
+// Read the bot config file. A missing or broken file means no bots, not a crash.
+const loadBotConfig = (file = BOTS_CONFIG) => {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.warn(`No bots loaded from ${file}: ${err.message}`);
+    return { seed: null, globalRoom: [], personalities: {} };
+  }
+
+  const personalities = {};
+  Object.entries(raw.personalities || {}).forEach(([id, p]) => {
+    if (!validPersonality(id, p)) {
+      console.warn(`Skipping bot personality "${id}": unknown model or bad settings`);
+      return;
+    }
+    personalities[id] = {
+      ...p,
+      name: p.name || id,
+      timeline: p.timeline && [...p.timeline].sort((a, b) => a.at - b.at)
+    };
+  });
+
+  return {
+    seed: Number.isFinite(raw.seed) ? raw.seed : null,
+    globalRoom: (raw.globalRoom || []).filter(id => personalities[id]),
+    personalities
+  };
+};
+
+const createBotEngine = ({
+  rooms,
+  personalities,
+  seed = Date.now(),
+  interval = BOT_TICK,
+  initialValues = () => ({}),
+  onChange = () => {}
+}) => {
+  const generators = new WeakMap(); // room -> its random number generator
+  let timer = null;
+
+  const randomFor = (room, roomId) => {
+    if (!generators.has(room)) generators.set(room, seededRandom(roomSeed(seed, roomId)));
+    return generators.get(room);
+  };
+
+  const botsIn = (room) => Array.from(room.users.entries()).filter(([, user]) => user.bot);
+
+  // Average of everyone else in the room, for followers
+  const averageWithout = (room, botId) => {
+    const others = Array.from(room.users.entries()).filter(([id]) => id !== botId);
+    if (others.length === 0) return 50;
+    return others.reduce((sum, [, user]) => sum + user.boredom, 0) / others.length;
+  };
+
+  const step = (room, roomId, botId, now) => {
+    const user = room.users.get(botId);
+    const p = personalities[user.bot.personality];
+    const next = MODELS[p.model](p, {
+      value: user.boredom,
+      random: randomFor(room, roomId),
+      roomAverage: averageWithout(room, botId),
+      elapsed: now - user.bot.startedAt
+    });
+    user.boredom = clamp(next);
+    user.lastUpdated = now;
+    user.bot.nextAt = now + p.interval;
+  };
+
+  const engine = {
+    personalities,
+
+    // Add a bot with the given personality; returns its user id, or null
+    addBot: (roomId, personalityId, now = Date.now()) => {
+      const room = rooms.get(roomId);
+      const p = personalities[personalityId];
+      if (!room || !p || botsIn(room).length >= MAX_ROOM_BOTS) return null;
+
+      let botId = `bot-${personalityId}`;
+      for (let n = 2; room.users.has(botId); n++) botId = `bot-${personalityId}-${n}`;
+
+      room.users.set(botId, {
+        boredom: startValue(p),
+        values: initialValues(room),
+        ws: null,
+        isBot: true,
+        name: p.name,
+        lastUpdated: now,
+        bot: { personality: personalityId, startedAt: now, nextAt: now + p.interval }
+      });
+      return botId;
+    },
+
+    // Personality ids of a room's bots, for persisting and restoring it
+    roomBots: (room) => botsIn(room).map(([, user]) => user.bot.personality),
+
+    // Move every bot that is due. Tests can call this with their own clock.
+    tick: (now = Date.now()) => {
+      rooms.forEach((room, roomId) => {
+        let changed = false;
+        botsIn(room).forEach(([botId, user]) => {
+          if (now < user.bot.nextAt) return;
+          step(room, roomId, botId, now);
+          changed = true;
+        });
+        if (changed) onChange(roomId);
+      });
+    },
+
+    start: () => {
+      if (!timer) timer = setInterval(() => engine.tick(), interval);
+    },
+
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return engine;
+};
+
+module.exports = { loadBotConfig, createBotEngine, seededRandom, MAX_ROOM_BOTS };
@@ -0,0 +1,154 @@
+const WebSocket = require('ws');
+
+// Stats broadcast scheduler.
+//
+// broadcastToRoom() only marks a room dirty; every tick each dirty room is
+// sent once. Sockets that already have a baseline get a `delta` with just the
+// fields and participants that changed, new sockets get a full `stats`.
+// Hosts' sockets also get the fields from `getHostStats`, whole whenever they change.
+
+const BROADCAST_INTERVAL = parseInt(process.env.BROADCAST_INTERVAL_MS, 10) || 100;
+
+// Changes between two stats snapshots, or null if nothing changed
+const diffStats = (prev, next) => {
+  const delta = {};
+
+  Object.keys(next).forEach(key => {
+    if (key === 'individuals') return;
+    if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) {
+      delta[key] = next[key];
+    }
+  });
+
+  // Fields that went away are sent as null
+  Object.keys(prev).forEach(key => {
+    if (!(key in next)) delta[key] = null;
+  });
+
+  // New participants are sent whole, known ones only with the fields that changed
+  const before = new Map(prev.individuals.map(ind => [ind.id, ind]));
+  const upserts = [];
+  next.individuals.forEach(ind => {
+    const old = before.get(ind.id);
+    if (!old) {
+      upserts.push(ind);
+      return;
+    }
+    const changed = Object.keys(ind).filter(key => JSON.stringify(old[key]) !== JSON.stringify(ind[key]));
+    if (changed.length > 0) {
+      upserts.push(changed.reduce((acc, key) => ({ ...acc, [key]: ind[key] }), { id: ind.id }));
+    }
+  });
+
+  const present = new Set(next.individuals.map(ind => ind.id));
+  const removed = prev.individuals.filter(ind => !present.has(ind.id)).map(ind => ind.id);
+
+  if (upserts.length > 0) delta.upserts = upserts;
+  if (removed.length > 0) delta.removed = removed;
+
+  return Object.keys(delta).length > 0 ? delta : null;
+};
+
+// `onStats` sees every snapshot that goes out, e.g. to watch for thresholds
+const createBroadcaster = ({
+  rooms,
+  getRoomStats,
+  getHostStats = () => ({}),
+  onStats = () => {},
+  interval = BROADCAST_INTERVAL
+}) => {
+  const dirty = new Set();
+  const needsFull = new WeakSet();
+  let timer = null;
+
+  // Serialize once per variant - the per-user parts are hasVoted during a veto
+  // and whether the socket is a host's. Returns null when there is nothing to send.
+  const serializer = (payload, hostPayload, room) => {
+    const cache = new Map();
+    return (userId, isHost) => {
+      const base = isHost ? hostPayload : payload;
+      if (!base) return null;
+      const hasVoted = room.veto && 'veto' in base && userId !== null ? room.veto.votes.has(userId) : null;
+      const key = `${isHost}:${hasVoted}`;
+      if (!cache.has(key)) {
+        cache.set(key, JSON.stringify(hasVoted === null
+          ? base
+          : { ...base, veto: { ...base.veto, hasVoted } }));
+      }
+      return cache.get(key);
+    };
+  };
+
+  const flushRoom = (roomId) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    const stats = getRoomStats(roomId);
+    onStats(roomId, stats);
+    const delta = room.lastBroadcast ? diffStats(room.lastBroadcast, stats) : null;
+    room.lastBroadcast = stats;
+
+    // An open veto changes every second and carries the per-user hasVoted flag
+    const deltaPayload = delta || room.veto
+      ? { type: 'delta', ...delta, ...(room.veto ? { veto: stats.veto } : {}) }
+      : null;
+
+    const hostStats = getHostStats(roomId);
+    const serializedHostStats = JSON.stringify(hostStats);
+    const hostChanged = serializedHostStats !== room.lastHostBroadcast;
+    room.lastHostBroadcast = serializedHostStats;
+    const hostDeltaPayload = deltaPayload || hostChanged
+      ? { type: 'delta', ...deltaPayload, ...(hostChanged ? hostStats : {}) }
+      : null;
+
+    const full = serializer({ type: 'stats', ...stats }, { type: 'stats', ...stats, ...hostStats }, room);
+    const partial = serializer(deltaPayload, hostDeltaPayload, room);
+
+    const send = (ws, userId, isHost) => {
+      if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+      if (needsFull.has(ws)) {
+        needsFull.delete(ws);
+        ws.send(full(userId, isHost));
+        return;
+      }
+      const message = partial(userId, isHost);
+      if (message) ws.send(message);
+    };
+
+    room.users.forEach((user, userId) => send(user.ws, userId, user.isHost));
+    room.observers.forEach(ws => send(ws, null, false));
+  };
+
+  const flush = () => {
+    const roomIds = Array.from(dirty);
+    dirty.clear();
+    roomIds.forEach(flushRoom);
+  };
+
+  return {
+    // Queue a stats broadcast for the next tick
+    markDirty: (roomId) => {
+      dirty.add(roomId);
+    },
+
+    // Send this socket a full snapshot on the next tick
+    markNew: (roomId, ws) => {
+      needsFull.add(ws);
+      dirty.add(roomId);
+    },
+
+    flush,
+
+    start: () => {
+      if (!timer) timer = setInterval(flush, interval);
+    },
+
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+module.exports = { createBroadcaster, diffStats };
@@ -0,0 +1,151 @@
+// Rating dimensions - what a room's dials measure
+//
+// Every room has at least one dimension. The first one is the room's primary
+// dimension: it is what `boredom` carries in the protocol, and what the veto,
+// history and distribution stats follow. The others ride along in `values`.
+
+const MAX_DIMENSIONS = 4;
+const MAX_BANDS = 8;
+const MAX_TICKS = 11;
+
+// A scale is what a dial shows along 0-100. Bands split it, and a value
+// belongs to the first band it is below; ticks are marks drawn on the track.
+const DEFAULT_TICKS = [0, 25, 50, 75, 100];
+
+const DIMENSION_PRESETS = {
+  boredom: {
+    name: 'Boredom',
+    scale: {
+      bands: [
+        { upTo: 15, label: 'Engaged', color: '#22c55e' },
+        { upTo: 30, label: 'Content', color: '#22c55e' },
+        { upTo: 50, label: 'Neutral', color: '#84cc16' },
+        { upTo: 70, label: 'Restless', color: '#eab308' },
+        { upTo: 85, label: 'Bored', color: '#f97316' },
+        { upTo: 100, label: 'Very Bored', color: '#ef4444' }
+      ]
+    }
+  },
+  clarity: {
+    name: 'Clarity',
+    scale: {
+      bands: [
+        { upTo: 20, label: 'Lost', color: '#ef4444' },
+        { upTo: 40, label: 'Confused', color: '#f97316' },
+        { upTo: 60, label: 'Following', color: '#eab308' },
+        { upTo: 80, label: 'Clear', color: '#84cc16' },
+        { upTo: 100, label: 'Crystal Clear', color: '#22c55e' }
+      ]
+    }
+  },
+  pace: {
+    name: 'Pace',
+    scale: {
+      bands: [
+        { upTo: 20, label: 'Too Slow', color: '#3b82f6' },
+        { upTo: 40, label: 'Slow', color: '#22d3ee' },
+        { upTo: 60, label: 'Just Right', color: '#22c55e' },
+        { upTo: 80, label: 'Fast', color: '#f97316' },
+        { upTo: 100, label: 'Too Fast', color: '#ef4444' }
+      ]
+    }
+  },
+  energy: {
+    name: 'Energy',
+    scale: {
+      bands: [
+        { upTo: 20, label: 'Drained', color: '#64748b' },
+        { upTo: 40, label: 'Low', color: '#a78bfa' },
+        { upTo: 60, label: 'Steady', color: '#6366f1' },
+        { upTo: 80, label: 'Lively', color: '#f472b6' },
+        { upTo: 100, label: 'Buzzing', color: '#fbbf24' }
+      ]
+    }
+  }
+};
+
+// For dimensions that are not a preset and bring no scale of their own
+const GENERIC_SCALE = {
+  bands: [
+    { upTo: 20, label: 'Very Low', color: '#64748b' },
+    { upTo: 40, label: 'Low', color: '#818cf8' },
+    { upTo: 60, label: 'Medium', color: '#6366f1' },
+    { upTo: 80, label: 'High', color: '#8b5cf6' },
+    { upTo: 100, label: 'Very High', color: '#c084fc' }
+  ]
+};
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24);
+
+// Bands must climb through 0-100 with a label and a hex color each
+const normalizeBands = (bands) => {
+  if (!Array.isArray(bands) || bands.length < 2 || bands.length > MAX_BANDS) return null;
+
+  let previous = 0;
+  const normalized = [];
+  for (const band of bands) {
+    const upTo = Number(band?.upTo);
+    if (!Number.isFinite(upTo) || upTo <= previous || upTo > 100) return null;
+    if (typeof band.label !== 'string' || !band.label.trim()) return null;
+    if (!/^#[0-9a-f]{6}$/i.test(band.color)) return null;
+    normalized.push({ upTo, label: band.label.trim().slice(0, 24), color: band.color });
+    previous = upTo;
+  }
+  return normalized;
+};
+
+// Ticks are distinct positions on 0-100, kept in order
+const normalizeTicks = (ticks) => {
+  if (!Array.isArray(ticks) || ticks.length > MAX_TICKS) return null;
+  if (!ticks.every(tick => Number.isFinite(tick) && tick >= 0 && tick <= 100)) return null;
+  return Array.from(new Set(ticks)).sort((a, b) => a - b);
+};
+
+// A requested scale over a fallback - each part that is invalid falls back
+const normalizeScale = (input, fallback = GENERIC_SCALE) => ({
+  bands: normalizeBands(input?.bands) || fallback.bands,
+  ticks: normalizeTicks(input?.ticks) || fallback.ticks || DEFAULT_TICKS
+});
+
+// Turn a room's requested dimensions into validated definitions. Each entry is
+// a preset id ("pace"), a bare name ("Volume") or { id, name, scale }.
+const normalizeDimensions = (input) => {
+  if (!Array.isArray(input) || input.length === 0) return normalizeDimensions(['boredom']);
+
+  const dimensions = [];
+  input.slice(0, MAX_DIMENSIONS).forEach(entry => {
+    const spec = typeof entry === 'string'
+      ? { id: entry, name: DIMENSION_PRESETS[slugify(entry)] ? undefined : entry }
+      : entry;
+    if (!spec || typeof spec !== 'object') return;
+
+    const id = slugify(spec.id || spec.name || '');
+    if (!id || dimensions.some(dimension => dimension.id === id)) return;
+
+    const preset = DIMENSION_PRESETS[id];
+    const name = typeof spec.name === 'string' && spec.name.trim()
+      ? spec.name.trim().slice(0, 24)
+      : preset?.name || id;
+
+    dimensions.push({
+      id,
+      name,
+      scale: normalizeScale(spec.scale, preset?.scale)
+    });
+  });
+
+  return dimensions.length > 0 ? dimensions : DEFAULT_DIMENSIONS;
+};
+
+const DEFAULT_DIMENSIONS = normalizeDimensions(['boredom']);
+
+// The non-primary dimensions, which users carry in `values`
+const extraDimensions = (dimensions) => dimensions.slice(1);
+
+module.exports = {
+  DIMENSION_PRESETS,
+  DEFAULT_DIMENSIONS,
+  normalizeDimensions,
+  normalizeScale,
+  extraDimensions
+};
@@ -0,0 +1,94 @@
+const { summarizeSegments } = require('./agenda');
+
+// Session export: everything recorded for a room as JSON or CSV
+
+// Build the export document for a room
+const buildExport = (roomId, room, { anonymize = false, aggregateOnly = false } = {}) => {
+  const participants = room.participants || {};
+
+  // Stable pseudonyms in order of first appearance
+  const aliases = new Map();
+  Object.keys(participants)
+    .sort((a, b) => participants[a].firstSeen - participants[b].firstSeen)
+    .forEach((id, index) => aliases.set(id, `Participant ${index + 1}`));
+
+  const displayName = (id) => {
+    const participant = participants[id];
+    if (participant?.isBot) return participant.name;
+    if (anonymize) return aliases.get(id) || 'Participant';
+    return participant?.name || aliases.get(id) || 'Anonymous';
+  };
+  const participantId = (id) => (anonymize && !participants[id]?.isBot ? aliases.get(id) || 'anonymous' : id);
+
+  // Per-participant series
+  const series = new Map();
+  room.history.forEach(sample => {
+    sample.individuals.forEach(({ id, boredom }) => {
+      if (!series.has(id)) series.set(id, []);
+      series.get(id).push({ timestamp: sample.timestamp, boredom });
+    });
+  });
+
+  return {
+    room: {
+      roomId,
+      name: room.name,
+      createdAt: room.createdAt.toISOString(),
+      exportedAt: new Date().toISOString(),
+      anonymized: anonymize,
+      aggregateOnly
+    },
+    average: room.history.map(({ timestamp, average, count, segment }) => ({ timestamp, average, count, segment: segment || null })),
+    segments: summarizeSegments(room),
+    participants: aggregateOnly ? [] : Array.from(series.entries()).map(([id, samples]) => ({
+      id: participantId(id),
+      name: displayName(id),
+      isBot: participants[id]?.isBot || false,
+      samples
+    })),
+    vetoes: room.vetoes.map(veto => ({
+      startedAt: veto.startedAt,
+      endedAt: veto.endedAt || null,
+      initiator: anonymize ? displayName(veto.initiatorId) : veto.initiator,
+      segment: veto.segment || null,
+      votes: veto.votes || 0,
+      voters: (veto.voters || []).map(displayName),
+      outcome: veto.passed === undefined ? 'in progress' : veto.passed ? 'passed' : 'failed'
+    }))
+  };
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = FORMULA_PREFIX.test(String(value)) ? `'${value}` : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flatten the export into one long-format table, one `record` kind per row
+const toCsv = (data) => {
+  const header = ['record', 'timestamp', 'participant_id', 'participant_name', 'boredom', 'average', 'count', 'initiator', 'votes', 'outcome'];
+  const rows = [header];
+
+  rows.push(['room', data.room.createdAt, data.room.roomId, data.room.name, '', '', '', '', '', '']);
+
+  data.average.forEach(({ timestamp, average, count }) => {
+    rows.push(['average', new Date(timestamp).toISOString(), '', '', '', average, count, '', '', '']);
+  });
+
+  data.participants.forEach(participant => {
+    participant.samples.forEach(({ timestamp, boredom }) => {
+      rows.push(['sample', new Date(timestamp).toISOString(), participant.id, participant.name, boredom, '', '', '', '', '']);
+    });
+  });
+
+  data.vetoes.forEach(veto => {
+    rows.push(['veto', new Date(veto.startedAt).toISOString(), '', '', '', '', '', veto.initiator, veto.votes, veto.outcome]);
+  });
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+module.exports = { buildExport, toCsv };
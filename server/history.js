@@ -0,0 +1,96 @@
+const { currentSegment } = require('./agenda');
+
+// Stats history: periodic snapshots of a room plus its veto log
+
+const HISTORY_LIMIT = 17280; // Keep at most 24 hours of 5-second snapshots per room
+const MAX_POINTS = 2000; // Cap on samples returned by a single query
+
+// Append a snapshot of the current stats to a room's history. Returns the
+// sample and whether anyone new took part (or changed their name).
+const recordSample = (room, stats, timestamp = Date.now()) => {
+  let rosterChanged = false;
+
+  // Remember who took part so exports can label the series
+  stats.individuals.forEach(({ id, name, isBot }) => {
+    const known = room.participants[id];
+    if (!known || (name && name !== known.name)) rosterChanged = true;
+    room.participants[id] = {
+      name: name || known?.name || null,
+      isBot,
+      firstSeen: known?.firstSeen || timestamp,
+      lastSeen: timestamp
+    };
+  });
+
+  const sample = {
+    timestamp,
+    average: stats.average,
+    count: stats.count,
+    segment: currentSegment(room.agenda)?.id || null, // Agenda segment running at the time
+    individuals: stats.individuals.map(({ id, boredom }) => ({ id, boredom }))
+  };
+  room.history.push(sample);
+  if (room.history.length > HISTORY_LIMIT) {
+    room.history.splice(0, room.history.length - HISTORY_LIMIT);
+  }
+  return { sample, rosterChanged };
+};
+
+// Merge the samples of one bucket into a single averaged sample
+const mergeBucket = (timestamp, samples, individuals) => {
+  const merged = {
+    timestamp,
+    average: Math.round(samples.reduce((sum, s) => sum + s.average, 0) / samples.length),
+    count: Math.max(...samples.map(s => s.count)),
+    segment: samples[samples.length - 1].segment || null
+  };
+  if (!individuals) return merged;
+
+  const perUser = new Map();
+  samples.forEach(sample => {
+    sample.individuals.forEach(({ id, boredom }) => {
+      const entry = perUser.get(id) || { sum: 0, n: 0 };
+      entry.sum += boredom;
+      entry.n += 1;
+      perUser.set(id, entry);
+    });
+  });
+
+  return {
+    ...merged,
+    individuals: Array.from(perUser.entries()).map(([id, { sum, n }]) => ({
+      id,
+      boredom: Math.round(sum / n)
+    }))
+  };
+};
+
+// Query a room's history. `from`/`to` are epoch milliseconds, `bucket` is a
+// bucket width in milliseconds (0 returns raw samples). With `individuals`
+// off, samples carry only the room-wide values.
+const queryHistory = (room, { from = 0, to = Date.now(), bucket = 0, individuals = true } = {}) => {
+  const samples = room.history.filter(s => s.timestamp >= from && s.timestamp <= to);
+
+  let result = samples;
+  if (bucket > 0) {
+    const buckets = new Map();
+    samples.forEach(sample => {
+      const start = Math.floor(sample.timestamp / bucket) * bucket;
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(sample);
+    });
+    result = Array.from(buckets.entries()).map(([start, group]) => mergeBucket(start, group, individuals));
+  } else if (!individuals) {
+    result = samples.map(({ individuals: _, ...sample }) => sample);
+  }
+
+  if (result.length > MAX_POINTS) {
+    result = result.slice(result.length - MAX_POINTS);
+  }
+
+  const vetoes = (room.vetoes || []).filter(v => v.startedAt >= from && v.startedAt <= to);
+
+  return { from, to, bucket, samples: result, vetoes };
+};
+
+module.exports = { HISTORY_LIMIT, recordSample, queryHistory };
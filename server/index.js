@@ -1,18 +1,52 @@
 const WebSocket = require('ws');
 const http = require('http');
 const crypto = require('crypto');
+const { createStore } = require('./store');
+const { recordSample, queryHistory } = require('./history');
+const { buildExport, toCsv } = require('./export');
+const { normalizeVetoRules, eligibleVoters, tallyVeto } = require('./veto');
+const { createBroadcaster } = require('./broadcast');
+const { PRIVACY_MODES, pseudonym, applyPrivacy, applyHistoryPrivacy } = require('./privacy');
+const { AGGREGATION_METHODS, aggregate, describe, histogram } = require('./stats');
+const { normalizeDimensions, normalizeScale, extraDimensions } = require('./dimensions');
+const { normalizeStaleness, isStale, effectiveValue } = require('./staleness');
+const { loadBotConfig, createBotEngine } = require('./bots');
+const { MAX_WEBHOOKS, createWebhook, publicWebhook, createWebhookDispatcher, checkTarget } = require('./webhooks');
+const { createRouter, HttpError } = require('./router');
+const { createEventStreams } = require('./sse');
+const { createAgenda, currentSegment, goToSegment, setSegments, agendaState, summarizeSegments } = require('./agenda');
 
 const PORT = process.env.PORT || 3001;
 
-// Room storage: { roomId: { users: Map, createdAt: Date, name: string, veto: object } }
+// Room storage: { roomId: { users: Map, observers: Set, createdAt: Date, name: string, veto: object, history: array, vetoes: array } }
 const rooms = new Map();
 
+// Persistence for private rooms (see store.js)
+const store = createStore();
+
+// Outbound webhook deliveries (see webhooks.js)
+const webhookDispatcher = createWebhookDispatcher();
+
+// Read-only Server-Sent Events streams (see sse.js)
+const eventStreams = createEventStreams();
+eventStreams.start();
+
 // Global room (the default public room with bots)
 const GLOBAL_ROOM_ID = 'global';
 
-// Veto threshold - when collective boredom exceeds this, veto becomes available
-const VETO_THRESHOLD = 66;
-const VETO_DURATION = 15000; // 15 seconds to vote
+// Stats history sampling
+const HISTORY_INTERVAL = 5000; // Take a snapshot every 5 seconds
+const STALENESS_INTERVAL = 5000; // Re-send stats of rooms whose idle values decay
+
+// How long a disconnected participant is kept so they can resume their session
+const RECONNECT_GRACE = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 30000;
+
+// Empty private rooms are unloaded from memory after this long without activity.
+// Their saved record and history stay in the store until the host deletes the room.
+const ROOM_TTL = parseInt(process.env.ROOM_TTL_MS, 10) || 3600000;
+
+// Participants who joined over the REST API leave after this long without a request
+const API_SESSION_TTL = parseInt(process.env.API_SESSION_TTL_MS, 10) || 600000;
 
 // Generate short room codes
 const generateRoomCode = () => {
@@ -22,49 +56,128 @@ const generateRoomCode = () => {
 // Generate user ID
 const generateUserId = () => crypto.randomBytes(8).toString('hex');
 
-// Simulated users for global room
-const bots = [
-  { id: 'bot-restless', name: 'Restless Rita', boredom: 65, volatility: 15, speed: 3000 },
-  { id: 'bot-chill', name: 'Chill Charlie', boredom: 25, volatility: 8, speed: 7000 },
-  { id: 'bot-moody', name: 'Moody Morgan', boredom: 50, volatility: 25, speed: 4000 },
-  { id: 'bot-sleepy', name: 'Sleepy Sam', boredom: 80, volatility: 10, speed: 10000 },
-];
+// Session tokens let a participant resume after a dropped connection
+const generateSessionToken = () => crypto.randomBytes(16).toString('hex');
 
-// Initialize global room with bots
-const globalRoom = {
-  users: new Map(),
-  createdAt: new Date(),
-  name: 'Global Boredom',
-  isGlobal: true
-};
-
-bots.forEach(bot => {
-  globalRoom.users.set(bot.id, {
-    boredom: bot.boredom,
-    ws: null,
-    isBot: true,
-    name: bot.name
-  });
+// Host tokens - only a hash is kept on the server
+const generateHostToken = () => crypto.randomBytes(16).toString('hex');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isHostToken = (room, token) => {
+  if (!room.hostTokenHash || typeof token !== 'string' || !token) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(room.hostTokenHash));
+};
+
+// WebSocket close codes the client should not reconnect after
+const CLOSE_KICKED = 4001;
+const CLOSE_REPLACED = 4002; // The same session connected again elsewhere
+const CLOSE_LOCKED = 4003;
+const CLOSE_UNAUTHORIZED = 4004; // Asked for a role it may not have
+const CLOSE_ROOM_CLOSED = 4005; // The host deleted the room
+
+// Connection roles a client can ask for with ?role=
+//   participant - the default, counted in the room and free to vote
+//   host        - a participant with moderation powers, needs ?hostToken=
+//   observer    - receives stats and veto results, never counted, read-only
+const ROLES = ['participant', 'host', 'observer'];
+
+// Messages only people taking part may send
+const PARTICIPANT_MESSAGES = ['update', 'setName', 'startVeto', 'vetoVote', 'hostAction'];
+
+// Simulated users - personalities come from bots.json (see bots.js).
+// BOT_SEED (or `seed` in the config) makes the simulation repeatable.
+const botConfig = loadBotConfig();
+const botSeed = Number.isFinite(parseInt(process.env.BOT_SEED, 10))
+  ? parseInt(process.env.BOT_SEED, 10)
+  : botConfig.seed ?? Date.now();
+
+// Create a room and register it
+const createRoom = (roomId, { name, createdAt, settings, history, vetoes, participants, hostTokenHash, bots, agenda, webhooks } = {}) => {
+  const room = {
+    users: new Map(),
+    observers: new Set(), // Sockets that watch without taking part
+    createdAt: createdAt ? new Date(createdAt) : new Date(),
+    lastActivity: Date.now(),
+    name: name || `Room ${roomId}`,
+    isGlobal: roomId === GLOBAL_ROOM_ID,
+    hostTokenHash: hostTokenHash || null,
+    settings: {
+      locked: false,
+      vetoDisabled: false,
+      privacy: 'visible',
+      aggregation: 'mean', // How the collective value is computed (see stats.js)
+      public: false, // Listed in the room directory (GET /api/rooms)
+      description: '',
+      ...settings,
+      vetoRules: normalizeVetoRules(settings?.vetoRules),
+      dimensions: normalizeDimensions(settings?.dimensions),
+      staleness: normalizeStaleness(settings?.staleness)
+    },
+    history: history || [],
+    vetoes: vetoes || [],
+    participants: participants || {},
+    agenda: createAgenda(agenda), // Speakers or topics, see agenda.js
+    webhooks: webhooks || [], // Subscriptions, secrets included
+    webhookLog: [], // Recent deliveries, kept in memory only
+    pseudonymKey: crypto.randomBytes(16) // Keys the ids shown in anonymous mode
+  };
+  rooms.set(roomId, room);
+  (bots || []).forEach(personality => botEngine.addBot(roomId, personality));
+  return room;
+};
+
+// Starting values for a room's non-primary dimensions
+const initialValues = (room) => extraDimensions(room.settings.dimensions)
+  .reduce((values, dimension) => ({ ...values, [dimension.id]: 50 }), {});
+
+// One engine moves the bots of every room
+const botEngine = createBotEngine({
+  rooms,
+  personalities: botConfig.personalities,
+  seed: botSeed,
+  initialValues,
+  onChange: (roomId) => broadcastToRoom(roomId)
 });
 
-rooms.set(GLOBAL_ROOM_ID, globalRoom);
+// Persist a private room (the global room is rebuilt on every start). Its
+// history is appended sample by sample, see the history interval below.
+const saveRoom = (roomId) => {
+  const room = rooms.get(roomId);
+  if (!room || room.isGlobal) return;
 
-// Start bot simulation for global room
-bots.forEach(bot => {
-  setInterval(() => {
-    const room = rooms.get(GLOBAL_ROOM_ID);
-    if (!room) return;
+  store.saveRoom(roomId, {
+    roomId,
+    name: room.name,
+    createdAt: room.createdAt.toISOString(),
+    hostTokenHash: room.hostTokenHash,
+    settings: room.settings,
+    vetoes: room.vetoes,
+    participants: room.participants,
+    bots: botEngine.roomBots(room),
+    agenda: room.agenda,
+    webhooks: room.webhooks
+  });
+};
 
-    const user = room.users.get(bot.id);
-    if (!user) return;
+// A room by its code, loaded back from the store if it isn't in memory
+const getRoom = (roomId) => {
+  if (rooms.has(roomId)) return rooms.get(roomId);
+  if (roomId === GLOBAL_ROOM_ID) return null;
+  const record = store.loadRoom(roomId);
+  return record ? createRoom(roomId, record) : null;
+};
 
-    const drift = (bot.boredom - user.boredom) * 0.1;
-    const randomChange = (Math.random() - 0.5) * bot.volatility;
-    user.boredom = Math.max(0, Math.min(100, user.boredom + drift + randomChange));
+// Take an idle room out of memory; getRoom brings it back when someone asks for it
+const unloadRoom = (roomId) => {
+  const room = rooms.get(roomId);
+  saveRoom(roomId);
+  room.users.forEach(user => clearTimeout(user.graceTimer));
+  rooms.delete(roomId);
+};
 
-    broadcastToRoom(GLOBAL_ROOM_ID);
-  }, bot.speed);
-});
+// Initialize global room with bots
+createRoom(GLOBAL_ROOM_ID, { name: 'Global Boredom', bots: botConfig.globalRoom });
+botEngine.start();
 
 // Get room stats
 const getRoomStats = (roomId) => {
@@ -72,86 +185,245 @@ const getRoomStats = (roomId) => {
   if (!room) return null;
 
   const entries = Array.from(room.users.entries());
-  const values = entries.map(([_, u]) => u.boredom);
-  const count = values.length;
-  const average = count > 0
-    ? Math.round(values.reduce((a, b) => a + b, 0) / count)
+  const count = entries.length;
+
+  // Idle values decay or drop out according to the room's staleness rules
+  const now = Date.now();
+  const staleness = room.settings.staleness;
+  const countedValues = (valueOf) => entries
+    .map(([_, u]) => effectiveValue(valueOf(u), u, staleness, now))
+    .filter(value => value !== null);
+
+  const values = countedValues(u => u.boredom);
+  const average = values.length > 0
+    ? Math.round(values.reduce((a, b) => a + b, 0) / values.length)
     : 50;
 
+  // The value the dial shows and the veto threshold is checked against
+  const collective = aggregate(values, room.settings.aggregation);
+
+  const extras = extraDimensions(room.settings.dimensions);
+
   const individuals = entries.map(([id, u]) => ({
     id,
     boredom: Math.round(u.boredom),
+    ...(extras.length > 0 ? { values: u.values } : {}),
     isBot: u.isBot || false,
+    isHost: u.isHost || false,
+    stale: isStale(u, staleness, now),
     name: u.name || null
   }));
 
+  // Mean and collective value of every dimension, the primary one included
+  const dimensionStats = {
+    [room.settings.dimensions[0].id]: { average, collective }
+  };
+  extras.forEach(dimension => {
+    const dimensionValues = countedValues(u => u.values[dimension.id]);
+    dimensionStats[dimension.id] = {
+      average: aggregate(dimensionValues, 'mean'),
+      collective: aggregate(dimensionValues, room.settings.aggregation)
+    };
+  });
+
+  const rules = room.settings.vetoRules;
+  const cooldownLeft = vetoCooldownLeft(room);
+
   // Include veto state
   const veto = room.veto ? {
     active: true,
     initiator: room.veto.initiatorName || 'Someone',
-    votes: room.veto.votes.size,
-    needed: Math.ceil(count / 2),
+    ...tallyVeto(room),
     timeLeft: Math.max(0, Math.ceil((room.veto.endTime - Date.now()) / 1000))
   } : null;
 
   return {
     average,
+    collective,
+    aggregation: room.settings.aggregation,
+    distribution: describe(values),
+    histogram: histogram(values),
+    dimensions: room.settings.dimensions,
+    dimensionStats,
+    staleness,
     count,
+    observers: room.observers.size,
     individuals,
     roomName: room.name,
     roomId,
-    vetoAvailable: average >= VETO_THRESHOLD,
+    locked: room.settings.locked,
+    listed: room.settings.public,
+    description: room.settings.description,
+    vetoDisabled: room.settings.vetoDisabled,
+    vetoRules: rules,
+    agenda: agendaState(room.agenda),
+    vetoCooldown: Math.ceil(cooldownLeft / 1000),
+    vetoAvailable: !room.settings.vetoDisabled && cooldownLeft === 0 && collective >= rules.threshold,
     veto
   };
 };
 
+// Milliseconds until the room's veto cooldown is over
+const vetoCooldownLeft = (room) => {
+  const lastVeto = room.vetoes[room.vetoes.length - 1];
+  if (!lastVeto || !lastVeto.endedAt) return 0;
+  return Math.max(0, lastVeto.endedAt + room.settings.vetoRules.cooldown * 1000 - Date.now());
+};
+
+// The id a participant is shown under in the room's current privacy mode
+const publicId = (room, userId) => (room.settings.privacy === 'anonymous'
+  ? pseudonym(room.pseudonymKey, userId)
+  : userId);
+
+// A participant of the room by real id or the id they are shown under, or null
+const resolveId = (room, id) => {
+  if (room.users.has(id)) return id;
+  return Array.from(room.users.keys()).find(userId => publicId(room, userId) === id) || null;
+};
+
+// Stats as the room's privacy mode allows them to be seen
+const getPublicStats = (roomId) => {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  return {
+    ...applyPrivacy(getRoomStats(roomId), room.settings.privacy, id => publicId(room, id)),
+    privacy: room.settings.privacy
+  };
+};
+
+// What only the host's sockets get: in aggregate-only rooms, who is there
+// (never their values), so the host can still remove people and bots
+const getHostStats = (roomId) => {
+  const room = rooms.get(roomId);
+  if (!room || room.settings.privacy !== 'aggregate') return { roster: null };
+  return {
+    roster: Array.from(room.users.entries()).map(([id, u]) => ({
+      id,
+      name: u.name || null,
+      isBot: u.isBot || false,
+      isHost: u.isHost || false
+    }))
+  };
+};
+
+// Tell the room's webhook subscribers about an event
+const emitEvent = (roomId, event, data) => {
+  const room = rooms.get(roomId);
+  if (room) webhookDispatcher.emit(room, roomId, event, data);
+};
+
+// Who an event is about, as far as the room's privacy mode allows
+const eventSubject = (room, userId, name) =>
+  (room.settings.privacy === 'visible' ? { userId, name: name || null } : {});
+
+// Public rooms as listed in the room directory, optionally filtered by a search
+const listRooms = (query = '') => {
+  const needle = query.trim().toLowerCase();
+  return Array.from(rooms.entries())
+    .filter(([, room]) => room.isGlobal || room.settings.public)
+    .map(([roomId, room]) => {
+      const users = Array.from(room.users.values());
+      return {
+        roomId,
+        name: room.name,
+        description: room.settings.description,
+        participants: users.filter(u => !u.isBot && (u.ws || u.viaApi)).length,
+        bots: users.filter(u => u.isBot).length,
+        average: getRoomStats(roomId).collective,
+        locked: room.settings.locked,
+        createdAt: room.createdAt.toISOString()
+      };
+    })
+    .filter(entry => !needle ||
+      entry.name.toLowerCase().includes(needle) ||
+      entry.description.toLowerCase().includes(needle))
+    // The global room first, then the busiest rooms
+    .sort((a, b) => (b.roomId === GLOBAL_ROOM_ID) - (a.roomId === GLOBAL_ROOM_ID) ||
+      b.participants - a.participants);
+};
+
 // Start a veto vote
 const startVeto = (roomId, initiatorId, initiatorName) => {
   const room = rooms.get(roomId);
-  if (!room || room.veto) return false;
+  if (!room || room.veto || room.settings.vetoDisabled) return false;
+  if (vetoCooldownLeft(room) > 0) return false;
+  if (!eligibleVoters(room).includes(initiatorId)) return false;
 
+  const rules = room.settings.vetoRules;
   const stats = getRoomStats(roomId);
-  if (stats.average < VETO_THRESHOLD) return false;
+  if (stats.collective < rules.threshold) return false;
 
   room.veto = {
     initiatorId,
     initiatorName: initiatorName || 'Someone',
     votes: new Set([initiatorId]), // Initiator automatically votes yes
     startTime: Date.now(),
-    endTime: Date.now() + VETO_DURATION
+    endTime: Date.now() + rules.duration * 1000,
+    // End the veto when time runs out
+    timer: setTimeout(() => endVeto(roomId, false), rules.duration * 1000),
+    // Keep everyone's countdown moving
+    ticker: setInterval(() => broadcastToRoom(roomId), 1000)
   };
 
-  console.log(`Veto started in room ${roomId} by ${initiatorName}`);
+  // Log the veto for the history timeline
+  room.vetoes.push({
+    startedAt: room.veto.startTime,
+    initiatorId,
+    initiator: room.veto.initiatorName,
+    segment: currentSegment(room.agenda)?.id || null
+  });
 
-  // Broadcast veto started
-  broadcastToRoom(roomId);
+  console.log(`Veto started in room ${roomId} by ${initiatorName}`);
+  emitEvent(roomId, 'veto.started', {
+    initiator: room.settings.privacy === 'visible' ? room.veto.initiatorName : 'Someone',
+    collective: stats.collective,
+    threshold: rules.threshold,
+    endsAt: new Date(room.veto.endTime).toISOString(),
+    segment: currentSegment(room.agenda)?.id || null
+  });
 
-  // Set timeout to end veto
-  setTimeout(() => {
-    endVeto(roomId, false);
-  }, VETO_DURATION);
+  // The initiator's vote may already be enough in a small room
+  checkVeto(roomId);
 
   return true;
 };
 
-// Cast a veto vote
-const castVetoVote = (roomId, voterId) => {
+// Cast or withdraw a veto vote
+const castVetoVote = (roomId, voterId, vote = true) => {
   const room = rooms.get(roomId);
   if (!room || !room.veto) return false;
+  if (!eligibleVoters(room).includes(voterId)) return false;
+
+  if (vote) {
+    room.veto.votes.add(voterId);
+  } else {
+    room.veto.votes.delete(voterId);
+  }
+
+  checkVeto(roomId);
+  return true;
+};
+
+// Forget the vote of someone who left the room
+const dropVetoVoter = (roomId, voterId) => {
+  const room = rooms.get(roomId);
+  if (!room || !room.veto) return;
 
-  room.veto.votes.add(voterId);
+  room.veto.votes.delete(voterId);
+};
 
-  // Check if majority reached
-  const realUsers = Array.from(room.users.values()).filter(u => !u.isBot && u.ws);
-  const needed = Math.ceil(realUsers.length / 2);
+// End the veto if the rules are met, otherwise broadcast the new tally
+const checkVeto = (roomId) => {
+  const room = rooms.get(roomId);
+  if (!room || !room.veto) return;
 
-  if (room.veto.votes.size >= needed) {
+  const { votes, needed } = tallyVeto(room);
+  if (votes >= needed) {
     endVeto(roomId, true);
-    return true;
+    return;
   }
 
   broadcastToRoom(roomId);
-  return true;
 };
 
 // End veto voting
@@ -159,132 +431,799 @@ const endVeto = (roomId, passed) => {
   const room = rooms.get(roomId);
   if (!room || !room.veto) return;
 
-  const voteCount = room.veto.votes.size;
+  clearTimeout(room.veto.timer);
+  clearInterval(room.veto.ticker);
+  const voteCount = tallyVeto(room).votes;
+  const logEntry = room.vetoes[room.vetoes.length - 1];
+  if (logEntry && logEntry.startedAt === room.veto.startTime) {
+    Object.assign(logEntry, {
+      endedAt: Date.now(),
+      votes: voteCount,
+      voters: Array.from(room.veto.votes),
+      passed
+    });
+  }
   room.veto = null;
 
+  // The room voted the current talk down - move on if the host asked for that
+  if (passed && room.agenda.autoAdvance && room.agenda.current !== -1) {
+    goToSegment(room.agenda, room.agenda.current + 1);
+  }
+  saveRoom(roomId);
+
   // Broadcast result
-  const message = JSON.stringify({
-    type: 'vetoResult',
-    passed,
-    votes: voteCount
+  const result = { type: 'vetoResult', passed, votes: voteCount };
+  sendToRoom(roomId, result);
+  eventStreams.publish(roomId, 'vetoResult', result);
+
+  console.log(`Veto in room ${roomId} ${passed ? 'PASSED' : 'failed'} with ${voteCount} votes`);
+  emitEvent(roomId, passed ? 'veto.passed' : 'veto.failed', {
+    votes: voteCount,
+    segment: logEntry?.segment || null
   });
 
+  // Also broadcast updated stats (veto no longer active)
+  broadcastToRoom(roomId);
+};
+
+// Send a message to every connected user in a room
+const sendToRoom = (roomId, payload) => {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const message = JSON.stringify(payload);
   room.users.forEach((user) => {
     if (user.ws && user.ws.readyState === WebSocket.OPEN) {
       user.ws.send(message);
     }
   });
+  room.observers.forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(message);
+    }
+  });
+};
 
-  console.log(`Veto in room ${roomId} ${passed ? 'PASSED' : 'failed'} with ${voteCount} votes`);
+// Watch a room without joining it - for projector and presenter screens
+const addObserver = (roomId, ws) => {
+  const room = rooms.get(roomId);
+  room.observers.add(ws);
+  room.lastActivity = Date.now();
 
-  // Also broadcast updated stats (veto no longer active)
-  setTimeout(() => broadcastToRoom(roomId), 100);
+  ws.send(JSON.stringify({
+    type: 'welcome',
+    userId: null,
+    roomId,
+    roomName: room.name,
+    role: 'observer',
+    ...getPublicStats(roomId)
+  }));
+  broadcaster.markNew(roomId, ws);
+  broadcastToRoom(roomId);
+
+  // Observers are read-only
+  ws.on('message', (data) => {
+    try {
+      const message = JSON.parse(data);
+      if (PARTICIPANT_MESSAGES.includes(message.type)) {
+        ws.send(JSON.stringify({ type: 'error', error: 'Observers cannot take part in the room' }));
+      }
+    } catch (err) {
+      console.error('Invalid message:', err.message);
+    }
+  });
+
+  ws.on('close', () => {
+    room.observers.delete(ws);
+    broadcastToRoom(roomId);
+  });
+
+  ws.on('error', (err) => {
+    console.error(`WebSocket error for observer in ${roomId}:`, err.message);
+  });
 };
 
-// Broadcast to all users in a room
-const broadcastToRoom = (roomId) => {
+// Remove a participant for good
+const removeUser = (roomId, userId) => {
   const room = rooms.get(roomId);
   if (!room) return;
 
-  const stats = getRoomStats(roomId);
-  const message = JSON.stringify({
-    type: 'stats',
-    ...stats
+  const user = room.users.get(userId);
+  if (!user) return;
+
+  clearTimeout(user.graceTimer);
+  room.users.delete(userId);
+  room.lastActivity = Date.now();
+  console.log(`User ${userId} left room ${roomId}. Users in room: ${room.users.size}`);
+  if (!user.isBot) {
+    emitEvent(roomId, 'participant.left', { ...eventSubject(room, userId, user.name), count: room.users.size });
+  }
+
+  // Fewer people may mean fewer votes needed
+  if (room.veto) {
+    dropVetoVoter(roomId, userId);
+    checkVeto(roomId);
+  } else {
+    broadcastToRoom(roomId);
+  }
+};
+
+// Find the participant a session token belongs to
+const findSession = (room, token) => {
+  if (typeof token !== 'string' || !token) return null;
+  const entry = Array.from(room.users.entries()).find(([, u]) => u.sessionToken === token);
+  return entry ? entry[0] : null;
+};
+
+// Add a new participant to a room. Participants joining over the REST API have
+// no socket and stay until they leave or go quiet for API_SESSION_TTL.
+const addParticipant = (roomId, { ws = null, isHost = false, name = null, viaApi = false } = {}) => {
+  const room = rooms.get(roomId);
+  const userId = generateUserId();
+
+  room.users.set(userId, {
+    boredom: 50,
+    values: initialValues(room),
+    lastUpdated: Date.now(),
+    ws,
+    isBot: false,
+    isHost,
+    name,
+    sessionToken: generateSessionToken(),
+    ...(viaApi ? { viaApi: true, lastSeen: Date.now() } : {})
   });
+  room.lastActivity = Date.now();
 
-  room.users.forEach((user) => {
-    if (user.ws && user.ws.readyState === WebSocket.OPEN) {
-      user.ws.send(message);
+  console.log(`User ${userId} joined room ${roomId}${viaApi ? ' via the API' : ''}. Users in room: ${room.users.size}`);
+  emitEvent(roomId, 'participant.joined', { ...eventSubject(room, userId, name), count: room.users.size });
+  return userId;
+};
+
+// Set a participant's dial values. `boredom` is the primary dimension, `values`
+// may carry any of them by id. Returns whether anything changed.
+const applyUpdate = (roomId, userId, message) => {
+  const room = rooms.get(roomId);
+  const user = room?.users.get(userId);
+  if (!user) return false;
+
+  const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+  const [primary, ...extras] = room.settings.dimensions;
+  const values = message.values && typeof message.values === 'object' ? message.values : {};
+  const boredom = typeof message.boredom === 'number' ? message.boredom : values[primary.id];
+  let changed = false;
+
+  if (Number.isFinite(boredom)) {
+    user.boredom = clamp(boredom);
+    changed = true;
+  }
+  extras.forEach(dimension => {
+    if (Number.isFinite(values[dimension.id])) {
+      user.values = { ...user.values, [dimension.id]: clamp(values[dimension.id]) };
+      changed = true;
     }
   });
+
+  if (changed) {
+    user.lastUpdated = Date.now();
+    broadcastToRoom(roomId);
+  }
+  return changed;
+};
+
+// Close a private room for good: everyone is disconnected and its saved state deleted
+const closeRoom = (roomId, reason) => {
+  const room = rooms.get(roomId);
+  if (!room || room.isGlobal) return;
+
+  emitEvent(roomId, 'room.closed', { reason });
+  if (room.veto) {
+    clearTimeout(room.veto.timer);
+    clearInterval(room.veto.ticker);
+  }
+
+  const users = Array.from(room.users.values());
+  room.users.clear();
+  users.forEach(user => {
+    clearTimeout(user.graceTimer);
+    if (user.ws) user.ws.close(CLOSE_ROOM_CLOSED, 'Room closed');
+  });
+  room.observers.forEach(ws => ws.close(CLOSE_ROOM_CLOSED, 'Room closed'));
+  eventStreams.close(roomId);
+
+  rooms.delete(roomId);
+  store.deleteRoom(roomId);
 };
 
-// Clean up old empty rooms (except global)
+// Host-only moderation actions
+const handleHostAction = (roomId, message) => {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  switch (message.action) {
+    case 'kick': {
+      const targetId = resolveId(room, message.userId);
+      const target = room.users.get(targetId);
+      if (!target || target.isBot || target.isHost) return;
+      console.log(`Host kicked ${targetId} from room ${roomId}`);
+      removeUser(roomId, targetId);
+      if (target.ws) target.ws.close(CLOSE_KICKED, 'Removed by host');
+      break;
+    }
+
+    case 'lock':
+      room.settings.locked = Boolean(message.locked);
+      break;
+
+    case 'resetDials':
+      room.users.forEach((user) => {
+        if (user.isBot) return;
+        user.boredom = 50;
+        user.values = initialValues(room);
+        user.lastUpdated = Date.now();
+      });
+      sendToRoom(roomId, { type: 'reset', boredom: 50, values: initialValues(room) });
+      break;
+
+    case 'disableVeto':
+      room.settings.vetoDisabled = Boolean(message.disabled);
+      if (room.settings.vetoDisabled && room.veto) {
+        endVeto(roomId, false);
+      }
+      break;
+
+    case 'endVeto':
+      endVeto(roomId, Boolean(message.passed));
+      break;
+
+    case 'setPrivacy':
+      if (!PRIVACY_MODES.includes(message.privacy)) return;
+      room.settings.privacy = message.privacy;
+      // Everyone's id in the stats changes with the mode - tell each their new one
+      room.users.forEach((user, userId) => {
+        if (user.ws && user.ws.readyState === WebSocket.OPEN) {
+          user.ws.send(JSON.stringify({ type: 'identity', userId: publicId(room, userId) }));
+        }
+      });
+      break;
+
+    case 'setStaleness':
+      room.settings.staleness = normalizeStaleness(message.staleness, room.settings.staleness);
+      break;
+
+    case 'setAggregation':
+      if (!AGGREGATION_METHODS.includes(message.aggregation)) return;
+      room.settings.aggregation = message.aggregation;
+      break;
+
+    case 'setVetoRules':
+      room.settings.vetoRules = normalizeVetoRules(message.rules, room.settings.vetoRules);
+      break;
+
+    case 'addBot':
+      if (!botEngine.addBot(roomId, message.personality)) return;
+      break;
+
+    case 'removeBot': {
+      const botId = resolveId(room, message.botId);
+      if (!room.users.get(botId)?.isBot) return;
+      removeUser(roomId, botId);
+      break;
+    }
+
+    case 'setListing':
+      room.settings.public = Boolean(message.public);
+      if (typeof message.description === 'string') {
+        room.settings.description = message.description.trim().slice(0, 200);
+      }
+      break;
+
+    case 'setAgenda':
+      setSegments(room.agenda, message.segments);
+      room.agenda.autoAdvance = Boolean(message.autoAdvance);
+      break;
+
+    case 'goToSegment':
+      if (!goToSegment(room.agenda, message.index)) return;
+      break;
+
+    case 'renameRoom':
+      if (typeof message.name !== 'string' || !message.name.trim()) return;
+      room.name = message.name.trim().slice(0, 60);
+      break;
+
+    default:
+      return;
+  }
+
+  saveRoom(roomId);
+  broadcastToRoom(roomId);
+};
+
+// Stats broadcasts are coalesced per room and sent as deltas (see broadcast.js)
+const broadcaster = createBroadcaster({
+  rooms,
+  getRoomStats: getPublicStats,
+  getHostStats,
+  onStats: (roomId, stats) => {
+    webhookDispatcher.checkThresholds(rooms.get(roomId), roomId, stats.collective);
+    eventStreams.publish(roomId, 'stats', { type: 'stats', ...stats });
+  }
+});
+broadcaster.start();
+
+// Broadcast to all users in a room on the next tick
+const broadcastToRoom = (roomId) => {
+  if (!rooms.has(roomId)) return;
+  broadcaster.markDirty(roomId);
+};
+
+// Record a stats snapshot for every occupied room
 setInterval(() => {
   const now = Date.now();
   rooms.forEach((room, roomId) => {
+    if (room.users.size === 0) return;
+
+    const { sample, rosterChanged } = recordSample(room, getRoomStats(roomId), now);
+    if (room.isGlobal) return;
+    store.appendSample(roomId, sample);
+    // The record only needs rewriting when someone new shows up
+    if (rosterChanged) saveRoom(roomId);
+  });
+}, HISTORY_INTERVAL);
+
+// Decaying and expiring values change without anyone touching a dial
+setInterval(() => {
+  rooms.forEach((room, roomId) => {
+    if (room.settings.staleness.mode !== 'off' && room.users.size > 0) broadcastToRoom(roomId);
+  });
+}, STALENESS_INTERVAL);
+
+// Expire quiet REST API sessions and unload old empty rooms (except global)
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach((room, roomId) => {
+    // Participants who joined over the REST API leave once they go quiet
+    room.users.forEach((user, userId) => {
+      if (user.viaApi && now - user.lastSeen > API_SESSION_TTL) removeUser(roomId, userId);
+    });
+
     if (roomId === GLOBAL_ROOM_ID) return;
 
-    // Count real users (with websocket connections)
-    const realUsers = Array.from(room.users.values()).filter(u => u.ws);
+    // Count real users (connected, or in a live REST API session)
+    const realUsers = Array.from(room.users.values()).filter(u => u.ws || u.viaApi);
 
-    // Remove room if empty for more than 1 hour
-    if (realUsers.length === 0 && now - room.createdAt.getTime() > 3600000) {
-      rooms.delete(roomId);
-      console.log(`Cleaned up empty room: ${roomId}`);
+    // Unload the room if it has been empty and idle for too long
+    const watchers = room.observers.size + eventStreams.count(roomId);
+    if (realUsers.length === 0 && watchers === 0 && !room.veto && now - room.lastActivity > ROOM_TTL) {
+      unloadRoom(roomId);
+      console.log(`Unloaded idle room: ${roomId}`);
     }
   });
 }, 60000);
 
-// HTTP server for health checks and room creation
-const server = http.createServer((req, res) => {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// REST API (see router.js). Everything lives under /api/v1; the endpoints that
+// predate versioning also answer on their old unversioned /api paths.
+const router = createRouter();
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
-    return;
+// The unversioned paths answer the way they did before /api/v1: errors as
+// { error: message } and, for routes given `legacyStatus`, that success status
+const LEGACY_MESSAGES = {
+  unauthorized: 'Host token required',
+  invalid_json: 'Invalid request',
+  method_not_allowed: 'Method not allowed'
+};
+const legacyError = (err) => ({ error: LEGACY_MESSAGES[err.code] || err.message });
+
+const route = (method, path, handler, { legacy = false, legacyStatus = null } = {}) => {
+  router[method](`/api/v1${path}`, handler);
+  if (!legacy) return;
+
+  const legacyHandler = legacyStatus
+    ? (context) => handler({
+      ...context,
+      send: (status, payload, headers) => context.send(status < 300 ? legacyStatus : status, payload, headers)
+    })
+    : handler;
+  router[method](`/api${path}`, legacyHandler, { formatError: legacyError });
+};
+
+const findRoom = (roomId) => {
+  const room = getRoom(roomId);
+  if (!room) throw new HttpError(404, 'room_not_found', 'Room not found');
+  return room;
+};
+
+// Who a request acts as, from its bearer token: the room's host, or one of its
+// participants by their session token
+const authenticate = (room, req) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (isHostToken(room, token)) return { isHost: true, userId: null };
+
+  const userId = findSession(room, token);
+  if (!userId) return null;
+
+  const user = room.users.get(userId);
+  if (user.viaApi) user.lastSeen = Date.now();
+  return { isHost: user.isHost, userId };
+};
+
+const requireHost = (room, req) => {
+  const auth = authenticate(room, req);
+  if (!auth) throw new HttpError(401, 'unauthorized', 'Send the host token as a bearer token');
+  if (!auth.isHost) throw new HttpError(403, 'host_only', 'Only the host can do that');
+  return auth;
+};
+
+const requireParticipant = (room, req) => {
+  const auth = authenticate(room, req);
+  if (!auth?.userId) throw new HttpError(401, 'unauthorized', 'Send a participant session token as a bearer token');
+  return auth;
+};
+
+// Settings a PATCH may change, each checked and then applied as a host action
+const SETTINGS = {
+  name: {
+    valid: (value) => typeof value === 'string' && value.trim() !== '',
+    action: (value) => ({ action: 'renameRoom', name: value })
+  },
+  locked: {
+    valid: (value) => typeof value === 'boolean',
+    action: (value) => ({ action: 'lock', locked: value })
+  },
+  vetoDisabled: {
+    valid: (value) => typeof value === 'boolean',
+    action: (value) => ({ action: 'disableVeto', disabled: value })
+  },
+  privacy: {
+    valid: (value) => PRIVACY_MODES.includes(value),
+    action: (value) => ({ action: 'setPrivacy', privacy: value })
+  },
+  aggregation: {
+    valid: (value) => AGGREGATION_METHODS.includes(value),
+    action: (value) => ({ action: 'setAggregation', aggregation: value })
+  },
+  vetoRules: {
+    valid: (value) => value !== null && typeof value === 'object',
+    action: (value) => ({ action: 'setVetoRules', rules: value })
+  },
+  staleness: {
+    valid: (value) => value !== null && typeof value === 'object',
+    action: (value) => ({ action: 'setStaleness', staleness: value })
+  },
+  public: {
+    valid: (value) => typeof value === 'boolean',
+    action: (value, room) => ({ action: 'setListing', public: value, description: room.settings.description })
+  },
+  description: {
+    valid: (value) => typeof value === 'string',
+    action: (value, room) => ({ action: 'setListing', public: room.settings.public, description: value })
+  },
+  agenda: {
+    valid: (value) => value !== null && typeof value === 'object' && Array.isArray(value.segments),
+    action: (value, room) => ({
+      action: 'setAgenda',
+      segments: value.segments,
+      autoAdvance: value.autoAdvance === undefined ? room.agenda.autoAdvance : value.autoAdvance
+    })
   }
+};
 
-  if (req.url === '/health') {
-    const stats = getRoomStats(GLOBAL_ROOM_ID);
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      status: 'ok',
-      rooms: rooms.size,
-      globalUsers: stats?.count || 0
-    }));
-    return;
+const roomSettings = (roomId) => {
+  const room = rooms.get(roomId);
+  return { roomId, name: room.name, settings: room.settings, agenda: agendaState(room.agenda) };
+};
+
+router.get('/health', () => ({
+  status: 'ok',
+  rooms: rooms.size,
+  globalUsers: getRoomStats(GLOBAL_ROOM_ID)?.count || 0
+}));
+
+// Room directory - the global room and every room marked public
+route('get', '/rooms', ({ query }) => ({ rooms: listRooms(query.get('q') || '') }), { legacy: true });
+
+route('post', '/rooms', ({ body, send }) => {
+  // Codes of unloaded rooms are still taken
+  let roomId = generateRoomCode();
+  while (getRoom(roomId)) roomId = generateRoomCode();
+  const roomName = typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, 60) : `Room ${roomId}`;
+  const hostToken = generateHostToken();
+
+  // A room-wide `scale` is shorthand for the primary dimension's scale
+  const [primary, ...extras] = normalizeDimensions(body.dimensions);
+  const dimensions = [
+    body.scale ? { ...primary, scale: normalizeScale(body.scale, primary.scale) } : primary,
+    ...extras
+  ];
+
+  createRoom(roomId, {
+    name: roomName,
+    hostTokenHash: hashToken(hostToken),
+    agenda: { segments: body.agenda?.segments, autoAdvance: body.agenda?.autoAdvance },
+    settings: {
+      vetoRules: body.vetoRules,
+      privacy: PRIVACY_MODES.includes(body.privacy) ? body.privacy : 'visible',
+      aggregation: AGGREGATION_METHODS.includes(body.aggregation) ? body.aggregation : 'mean',
+      dimensions,
+      staleness: body.staleness,
+      public: Boolean(body.public),
+      description: typeof body.description === 'string' ? body.description.trim().slice(0, 200) : ''
+    }
+  });
+  saveRoom(roomId);
+
+  console.log(`Created room: ${roomId} - ${roomName}`);
+
+  send(201, {
+    roomId,
+    roomName,
+    hostToken,
+    vetoRules: rooms.get(roomId).settings.vetoRules,
+    dimensions: rooms.get(roomId).settings.dimensions
+  });
+}, { legacy: true, legacyStatus: 200 });
+
+route('get', '/rooms/:roomId', ({ params }) => {
+  findRoom(params.roomId);
+  return getPublicStats(params.roomId);
+}, { legacy: true });
+
+route('patch', '/rooms/:roomId', ({ params, body, req }) => {
+  const room = findRoom(params.roomId);
+  requireHost(room, req);
+
+  // Check everything first so a bad field changes nothing
+  const fields = Object.keys(body);
+  if (fields.length === 0) throw new HttpError(400, 'no_changes', 'Send at least one setting to change');
+  fields.forEach(field => {
+    if (!SETTINGS[field]) throw new HttpError(400, 'unknown_setting', `Unknown setting: ${field}`);
+    if (!SETTINGS[field].valid(body[field])) throw new HttpError(400, 'invalid_setting', `Invalid value for ${field}`);
+  });
+
+  fields.forEach(field => handleHostAction(params.roomId, SETTINGS[field].action(body[field], room)));
+  return roomSettings(params.roomId);
+});
+
+route('delete', '/rooms/:roomId', ({ params, req }) => {
+  const room = findRoom(params.roomId);
+  if (room.isGlobal) throw new HttpError(403, 'global_room', 'The global room cannot be deleted');
+  requireHost(room, req);
+
+  closeRoom(params.roomId, 'deleted');
+  return { deleted: params.roomId };
+});
+
+route('get', '/rooms/:roomId/participants', ({ params }) => {
+  findRoom(params.roomId);
+  const stats = getPublicStats(params.roomId);
+  return { count: stats.count, observers: stats.observers, participants: stats.individuals };
+});
+
+// Join without a socket; the session token authenticates later calls
+route('post', '/rooms/:roomId/participants', ({ params, body, req, send }) => {
+  const room = findRoom(params.roomId);
+  const isHost = authenticate(room, req)?.isHost || false;
+  if (room.settings.locked && !isHost) throw new HttpError(403, 'room_locked', 'This room is locked');
+
+  const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, 20) : null;
+  const userId = addParticipant(params.roomId, { isHost, name, viaApi: true });
+  const user = room.users.get(userId);
+  broadcastToRoom(params.roomId);
+
+  send(201, {
+    participantId: userId,
+    sessionToken: user.sessionToken,
+    boredom: user.boredom,
+    values: user.values
+  });
+});
+
+route('put', '/rooms/:roomId/participants/:participantId/value', ({ params, body, req }) => {
+  const room = findRoom(params.roomId);
+  const { userId } = requireParticipant(room, req);
+  if (userId !== resolveId(room, params.participantId)) {
+    throw new HttpError(403, 'not_your_participant', 'A session token can only set its own value');
+  }
+  if (!applyUpdate(params.roomId, userId, body)) {
+    throw new HttpError(400, 'invalid_value', 'Send a numeric boredom or values by dimension id');
   }
 
-  if (req.url === '/api/rooms' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body || '{}');
-        const roomId = generateRoomCode();
-        const roomName = data.name || `Room ${roomId}`;
-
-        rooms.set(roomId, {
-          users: new Map(),
-          createdAt: new Date(),
-          name: roomName,
-          isGlobal: false
-        });
-
-        console.log(`Created room: ${roomId} - ${roomName}`);
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ roomId, roomName }));
-      } catch (err) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid request' }));
-      }
-    });
-    return;
+  const user = room.users.get(userId);
+  return { participantId: userId, boredom: user.boredom, values: user.values };
+});
+
+// Leave (with your own session token) or remove someone (as the host)
+route('delete', '/rooms/:roomId/participants/:participantId', ({ params, req }) => {
+  const room = findRoom(params.roomId);
+  const auth = authenticate(room, req);
+  if (!auth) throw new HttpError(401, 'unauthorized', 'Send a session or host token as a bearer token');
+
+  const targetId = resolveId(room, params.participantId);
+  const target = room.users.get(targetId);
+  if (!target || target.isBot) throw new HttpError(404, 'participant_not_found', 'Participant not found');
+
+  if (auth.userId === targetId) {
+    removeUser(params.roomId, targetId);
+    if (target.ws) target.ws.close(1000, 'Left the room');
+  } else if (auth.isHost && !target.isHost) {
+    handleHostAction(params.roomId, { action: 'kick', userId: targetId });
+  } else {
+    throw new HttpError(403, 'host_only', 'Only the host can remove someone else');
   }
+  return { removed: params.participantId };
+});
 
-  if (req.url.startsWith('/api/rooms/') && req.method === 'GET') {
-    const roomId = req.url.split('/')[3];
-    const room = rooms.get(roomId);
+route('get', '/rooms/:roomId/vetoes', ({ params }) => {
+  const room = findRoom(params.roomId);
+  const { vetoes } = applyHistoryPrivacy({ samples: [], vetoes: room.vetoes }, room.settings.privacy);
+  return { active: getPublicStats(params.roomId).veto, vetoes };
+});
 
-    if (room) {
-      const stats = getRoomStats(roomId);
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(stats));
-    } else {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Room not found' }));
-    }
+// The running veto, or how the one a request just ended turned out
+const vetoOutcome = (room, roomId) => {
+  if (room.veto) return { veto: getPublicStats(roomId).veto };
+  const { passed, votes } = room.vetoes[room.vetoes.length - 1];
+  return { veto: null, passed, votes };
+};
+
+route('post', '/rooms/:roomId/vetoes', ({ params, req, send }) => {
+  const room = findRoom(params.roomId);
+  const { userId } = requireParticipant(room, req);
+
+  if (room.veto) throw new HttpError(409, 'veto_in_progress', 'A veto is already running');
+  if (!startVeto(params.roomId, userId, room.users.get(userId).name || 'Someone')) {
+    throw new HttpError(409, 'veto_unavailable', 'A veto cannot be started right now');
+  }
+  send(201, vetoOutcome(room, params.roomId));
+});
+
+route('post', '/rooms/:roomId/vetoes/current/votes', ({ params, body, req }) => {
+  const room = findRoom(params.roomId);
+  const { userId } = requireParticipant(room, req);
+
+  if (!room.veto) throw new HttpError(409, 'no_active_veto', 'There is no veto to vote on');
+  if (body.vote !== undefined && typeof body.vote !== 'boolean') {
+    throw new HttpError(400, 'invalid_vote', 'vote must be true or false');
+  }
+  if (!castVetoVote(params.roomId, userId, body.vote !== false)) {
+    throw new HttpError(403, 'not_eligible', 'You cannot vote on this veto');
+  }
+  return { voted: body.vote !== false, ...vetoOutcome(room, params.roomId) };
+});
+
+route('get', '/rooms/:roomId/history', ({ params, query }) => {
+  const room = findRoom(params.roomId);
+
+  // from/to are epoch milliseconds, bucket is in seconds, summary=1 leaves out
+  // each participant's values
+  const from = parseInt(query.get('from'), 10);
+  const to = parseInt(query.get('to'), 10);
+  const bucket = parseInt(query.get('bucket'), 10);
+
+  const history = queryHistory(room, {
+    from: Number.isFinite(from) ? from : 0,
+    to: Number.isFinite(to) ? to : Date.now(),
+    bucket: Number.isFinite(bucket) && bucket > 0 ? bucket * 1000 : 0,
+    individuals: query.get('summary') !== '1'
+  });
+
+  return {
+    roomId: params.roomId,
+    ...applyHistoryPrivacy(history, room.settings.privacy, id => publicId(room, id))
+  };
+}, { legacy: true });
+
+// Per-segment summary of the room's agenda
+route('get', '/rooms/:roomId/agenda', ({ params }) => {
+  const room = findRoom(params.roomId);
+  return { roomId: params.roomId, segments: summarizeSegments(room) };
+}, { legacy: true });
+
+route('get', '/rooms/:roomId/export', ({ params, query, res }) => {
+  const room = findRoom(params.roomId);
+  const format = query.get('format') || 'json';
+  if (format !== 'json' && format !== 'csv') {
+    throw new HttpError(400, 'invalid_format', 'Format must be csv or json');
+  }
+
+  // The room's privacy mode is a floor - an export can hide more, never less
+  const privacy = room.settings.privacy;
+  const data = buildExport(params.roomId, room, {
+    anonymize: query.get('anonymize') === '1' || privacy !== 'visible',
+    aggregateOnly: privacy === 'aggregate'
+  });
+  const filename = `session-${params.roomId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.writeHead(200, {
+    'Content-Type': format === 'csv' ? 'text/csv' : 'application/json',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.end(format === 'csv' ? toCsv(data) : JSON.stringify(data, null, 2));
+}, { legacy: true });
+
+// Live stats and veto results as Server-Sent Events, for consumers that only
+// watch. Supports Last-Event-ID; subscribers are not counted in the room.
+route('get', '/rooms/:roomId/events', ({ params, req, res }) => {
+  findRoom(params.roomId);
+  eventStreams.subscribe(params.roomId, req, res, () => ({ type: 'stats', ...getPublicStats(params.roomId) }));
+}, { legacy: true });
+
+// Webhook subscriptions - host only
+route('get', '/rooms/:roomId/webhooks', ({ params, req }) => {
+  const room = findRoom(params.roomId);
+  requireHost(room, req);
+  return { webhooks: room.webhooks.map(publicWebhook) };
+}, { legacy: true });
+
+route('post', '/rooms/:roomId/webhooks', async ({ params, body, req, send }) => {
+  const room = findRoom(params.roomId);
+  requireHost(room, req);
+
+  const { webhook, error } = createWebhook(body);
+  if (error) throw new HttpError(400, 'invalid_webhook', error);
+
+  const refused = await checkTarget(webhook.url);
+  if (refused === 'unresolvable') {
+    throw new HttpError(400, 'invalid_webhook', `${new URL(webhook.url).hostname} could not be resolved`);
+  }
+  if (refused === 'private_address') {
+    throw new HttpError(400, 'private_webhook_target', 'Webhooks cannot be delivered to private or loopback addresses');
+  }
+
+  // Checked after the lookup so concurrent requests can't go past the limit
+  if (room.webhooks.length >= MAX_WEBHOOKS) {
+    throw new HttpError(409, 'too_many_webhooks', `A room can have at most ${MAX_WEBHOOKS} webhooks`);
+  }
+
+  room.webhooks.push(webhook);
+  saveRoom(params.roomId);
+  console.log(`Webhook ${webhook.id} added to room ${params.roomId}`);
+  // The only time the secret is shown
+  send(201, { webhook: { ...publicWebhook(webhook), secret: webhook.secret } });
+}, { legacy: true });
+
+// Delivery log, newest first: ?webhook=<id>&status=pending|delivered|failed|cancelled
+route('get', '/rooms/:roomId/webhooks/deliveries', ({ params, query, req }) => {
+  const room = findRoom(params.roomId);
+  requireHost(room, req);
+  return {
+    deliveries: webhookDispatcher.deliveries(room, {
+      webhookId: query.get('webhook') || undefined,
+      status: query.get('status') || undefined
+    })
+  };
+}, { legacy: true });
+
+route('delete', '/rooms/:roomId/webhooks/:webhookId', ({ params, req }) => {
+  const room = findRoom(params.roomId);
+  requireHost(room, req);
+
+  const index = room.webhooks.findIndex(webhook => webhook.id === params.webhookId);
+  if (index === -1) throw new HttpError(404, 'webhook_not_found', 'Webhook not found');
+  room.webhooks.splice(index, 1);
+  saveRoom(params.roomId);
+  return { deleted: params.webhookId };
+}, { legacy: true });
+
+// Bot personalities a host can add to a room
+route('get', '/bots', () => ({
+  personalities: Object.entries(botConfig.personalities)
+    .map(([id, p]) => ({ id, name: p.name, model: p.model }))
+}), { legacy: true });
+
+const server = http.createServer((req, res) => {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
     return;
   }
 
-  res.writeHead(404);
-  res.end();
+  router.handle(req, res);
 });
 
 // WebSocket server
@@ -296,62 +1235,107 @@ wss.on('connection', (ws, req) => {
   let roomId = url.searchParams.get('room') || GLOBAL_ROOM_ID;
 
   // Validate room exists
-  if (!rooms.has(roomId)) {
+  if (!getRoom(roomId)) {
     // Create room if it looks like a valid code
     if (roomId.length === 6 && /^[A-Z0-9]+$/.test(roomId)) {
-      rooms.set(roomId, {
-        users: new Map(),
-        createdAt: new Date(),
-        name: `Room ${roomId}`,
-        isGlobal: false
-      });
+      createRoom(roomId);
+      saveRoom(roomId);
     } else {
       roomId = GLOBAL_ROOM_ID;
     }
   }
 
   const room = rooms.get(roomId);
-  const userId = generateUserId();
+
+  // Negotiate the connection role
+  const role = url.searchParams.get('role') || 'participant';
+  if (!ROLES.includes(role)) {
+    ws.send(JSON.stringify({ type: 'error', error: `Unknown role: ${role}` }));
+    ws.close(CLOSE_UNAUTHORIZED, 'Unknown role');
+    return;
+  }
+
+  if (role === 'observer') {
+    addObserver(roomId, ws);
+    return;
+  }
+
+  // A valid host token makes any participant the host
+  const isHost = isHostToken(room, url.searchParams.get('hostToken'));
+  if (role === 'host' && !isHost) {
+    ws.send(JSON.stringify({ type: 'error', error: 'Invalid host token' }));
+    ws.close(CLOSE_UNAUTHORIZED, 'Invalid host token');
+    return;
+  }
+
+  const resumedId = findSession(room, url.searchParams.get('session'));
+
+  // Locked rooms only let the host and returning participants in
+  if (room.settings.locked && !isHost && !resumedId) {
+    ws.send(JSON.stringify({ type: 'error', error: 'This room is locked' }));
+    ws.close(CLOSE_LOCKED, 'Room is locked');
+    return;
+  }
+
+  room.lastActivity = Date.now();
+  let userId = resumedId;
 
   // Get name from query or generate
   const userName = url.searchParams.get('name') || null;
 
-  // Add user to room
-  room.users.set(userId, {
-    boredom: 50,
-    ws,
-    isBot: false,
-    name: userName
-  });
+  if (resumedId) {
+    // Pick the existing participant back up, keeping boredom and veto vote
+    const user = room.users.get(userId);
+    clearTimeout(user.graceTimer);
+    if (user.ws && user.ws !== ws) {
+      user.ws.close(CLOSE_REPLACED, 'Session resumed elsewhere');
+    }
+    user.ws = ws;
+    user.disconnectedAt = null;
+    user.isHost = user.isHost || isHost;
+    user.name = userName || user.name;
+    console.log(`User ${userId} resumed in room ${roomId}`);
+  } else {
+    userId = addParticipant(roomId, { ws, isHost, name: userName });
+  }
 
-  console.log(`User ${userId} joined room ${roomId}. Users in room: ${room.users.size}`);
+  const user = room.users.get(userId);
 
   // Send welcome message
-  const stats = getRoomStats(roomId);
+  const stats = getPublicStats(roomId);
   ws.send(JSON.stringify({
     type: 'welcome',
-    userId,
+    userId: publicId(room, userId), // Matches this participant's entry in the stats
     roomId,
     roomName: room.name,
-    boredom: 50,
-    ...stats
+    boredom: user.boredom,
+    values: user.values,
+    isHost: user.isHost,
+    role: user.isHost ? 'host' : 'participant',
+    sessionToken: user.sessionToken,
+    resumed: Boolean(resumedId),
+    ...stats,
+    ...(user.isHost ? getHostStats(roomId) : {}),
+    veto: stats.veto && { ...stats.veto, hasVoted: room.veto.votes.has(userId) }
   }));
 
-  // Broadcast updated stats
-  broadcastToRoom(roomId);
+  // Deltas are relative to the last tick, so start this socket from a full snapshot
+  broadcaster.markNew(roomId, ws);
+
+  // A returning voter may tip an open veto
+  if (room.veto) {
+    checkVeto(roomId);
+  } else {
+    broadcastToRoom(roomId);
+  }
 
   // Handle messages
   ws.on('message', (data) => {
     try {
       const message = JSON.parse(data);
 
-      if (message.type === 'update' && typeof message.boredom === 'number') {
-        const boredom = Math.max(0, Math.min(100, Math.round(message.boredom)));
-        const user = room.users.get(userId);
-        if (user) {
-          user.boredom = boredom;
-          broadcastToRoom(roomId);
-        }
+      if (message.type === 'update') {
+        applyUpdate(roomId, userId, message);
       }
 
       if (message.type === 'setName' && message.name) {
@@ -370,18 +1354,38 @@ wss.on('connection', (ws, req) => {
       }
 
       if (message.type === 'vetoVote') {
-        castVetoVote(roomId, userId);
+        castVetoVote(roomId, userId, message.vote !== false);
+      }
+
+      // Host moderation
+      if (message.type === 'hostAction') {
+        if (user.isHost) {
+          handleHostAction(roomId, message);
+        } else {
+          ws.send(JSON.stringify({ type: 'error', error: 'Only the host can do that' }));
+        }
       }
     } catch (err) {
       console.error('Invalid message:', err.message);
     }
   });
 
-  // Handle disconnect
+  // Handle disconnect - keep the participant around for a while so they can resume
   ws.on('close', () => {
-    room.users.delete(userId);
-    console.log(`User ${userId} left room ${roomId}. Users in room: ${room.users.size}`);
-    broadcastToRoom(roomId);
+    if (room.users.get(userId) !== user || user.ws !== ws) return;
+
+    user.ws = null;
+    user.disconnectedAt = Date.now();
+    user.graceTimer = setTimeout(() => removeUser(roomId, userId), RECONNECT_GRACE);
+    room.lastActivity = Date.now();
+    console.log(`User ${userId} disconnected from room ${roomId}`);
+
+    // Their vote stops counting while they are away
+    if (room.veto) {
+      checkVeto(roomId);
+    } else {
+      broadcastToRoom(roomId);
+    }
   });
 
   ws.on('error', (err) => {
@@ -391,11 +1395,15 @@ wss.on('connection', (ws, req) => {
 
 server.listen(PORT, () => {
   console.log(`Boredom Dial server running on port ${PORT}`);
-  console.log(`Global room initialized with ${bots.length} bots`);
+  console.log(`Global room initialized with ${botConfig.globalRoom.length} bots (seed ${botSeed})`);
 });
 
 process.on('SIGTERM', () => {
   console.log('Shutting down...');
+  store.close();
+  broadcaster.stop();
+  botEngine.stop();
+  eventStreams.stop();
   wss.clients.forEach((client) => client.close());
   server.close(() => process.exit(0));
 });
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { coarsen } = require('./stats');
+
+// Privacy modes - how much of each participant the room gets to see
+//   visible   - names and values for everyone
+//   anonymous - values for everyone, but no names, host badges or real ids
+//   aggregate - only the average, count, spread and a coarse histogram
+const PRIVACY_MODES = ['visible', 'anonymous', 'aggregate'];
+
+const AGGREGATE_BUCKETS = 5;
+const AGGREGATE_SPREAD_STEP = 5; // Spread is rounded to this many points
+
+// The id a participant goes by in anonymous mode. Keyed per room, so it can't
+// be matched with the ids seen while the room was visible.
+const pseudonym = (key, userId) => crypto.createHmac('sha256', key).update(userId).digest('hex').slice(0, 12);
+
+// Strip what a room's privacy mode hides from stats before they leave the
+// server. `alias` maps real ids to the ones shown in anonymous mode.
+const applyPrivacy = (stats, mode, alias = id => id) => {
+  if (mode === 'anonymous') {
+    return {
+      ...stats,
+      // Bots aren't people - they keep their names
+      individuals: stats.individuals.map(({ id, name, isHost, ...ind }) => ({
+        ...ind,
+        id: alias(id),
+        name: ind.isBot ? name : null
+      })),
+      veto: stats.veto && { ...stats.veto, initiator: 'Someone' }
+    };
+  }
+
+  if (mode === 'aggregate') {
+    return {
+      ...stats,
+      individuals: [],
+      histogram: coarsen(stats.histogram, AGGREGATE_BUCKETS),
+      // Extremes, quartiles or an exact spread next to the average can pin
+      // down single people in a small room - only a rounded spread goes out
+      distribution: stats.distribution && {
+        std: Math.round(stats.distribution.std / AGGREGATE_SPREAD_STEP) * AGGREGATE_SPREAD_STEP
+      },
+      veto: stats.veto && { ...stats.veto, initiator: 'Someone' }
+    };
+  }
+
+  return stats;
+};
+
+// The same rules for a history query result
+const applyHistoryPrivacy = (history, mode, alias = id => id) => {
+  if (mode === 'visible') return history;
+
+  const vetoes = history.vetoes.map(({ initiatorId, voters, ...veto }) => ({ ...veto, initiator: 'Someone' }));
+  // Summary-only queries have no individuals to hide
+  const samples = history.samples.map(sample => (sample.individuals ? {
+    ...sample,
+    individuals: mode === 'aggregate'
+      ? []
+      : sample.individuals.map(ind => ({ ...ind, id: alias(ind.id) }))
+  } : sample));
+
+  return { ...history, samples, vetoes };
+};
+
+module.exports = { PRIVACY_MODES, pseudonym, applyPrivacy, applyHistoryPrivacy };
@@ -0,0 +1,145 @@
+// A small HTTP router for the REST API.
+//
+// Routes are `METHOD /path/:param` patterns. Handlers get
+// { req, res, params, query, body, send } and either return a payload (sent
+// as 200 JSON) or call send() themselves. Bodies of POST/PUT/PATCH requests
+// are parsed as JSON up to a size limit. Every failure goes out in one shape:
+//   { error: { code, message } }
+// unless the route brings its own `formatError(err)`.
+
+const MAX_BODY = parseInt(process.env.MAX_BODY_BYTES, 10) || 16384;
+
+// An error with the HTTP status and machine-readable code to answer with
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// '/rooms/:roomId' -> a regex and the names of its params
+const compile = (pattern) => {
+  const keys = [];
+  const source = pattern.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${source}/?$`), keys };
+};
+
+// Read a JSON object body, refusing anything over `limit` bytes
+const readJson = (req, limit) => new Promise((resolve, reject) => {
+  const declared = parseInt(req.headers['content-length'], 10);
+  if (declared > limit) {
+    reject(new HttpError(413, 'body_too_large', `Request body must be at most ${limit} bytes`));
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+
+  req.on('data', (chunk) => {
+    if (tooLarge) return;
+    size += chunk.length;
+    if (size > limit) {
+      tooLarge = true;
+      reject(new HttpError(413, 'body_too_large', `Request body must be at most ${limit} bytes`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (tooLarge) return;
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text.trim()) {
+      resolve({});
+      return;
+    }
+    try {
+      const data = JSON.parse(text);
+      if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('not an object');
+      resolve(data);
+    } catch (err) {
+      reject(new HttpError(400, 'invalid_json', 'Request body must be a JSON object'));
+    }
+  });
+
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, payload, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+};
+
+const formatError = (err) => ({ error: { code: err.code, message: err.message } });
+
+const sendError = (res, err, format = formatError) => {
+  if (res.headersSent) return;
+  if (!(err instanceof HttpError)) {
+    console.error('Request failed:', err);
+    sendError(res, new HttpError(500, 'internal_error', 'Something went wrong'), format);
+    return;
+  }
+  sendJson(res, err.status, format(err));
+};
+
+const createRouter = ({ maxBody = MAX_BODY } = {}) => {
+  const routes = [];
+
+  const add = (method) => (pattern, handler, options = {}) => {
+    routes.push({ method, pattern, handler, formatError: options.formatError || formatError, ...compile(pattern) });
+  };
+
+  // Answer a request with whichever route matches it
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const matching = routes.filter(route => route.regex.test(url.pathname));
+    // Failures before a route is picked are formatted like the path's routes
+    let format = matching.length > 0 ? matching[0].formatError : formatError;
+
+    try {
+      if (matching.length === 0) throw new HttpError(404, 'not_found', `Nothing at ${url.pathname}`);
+
+      const route = matching.find(candidate => candidate.method === req.method);
+      if (!route) {
+        const allowed = [...new Set(matching.map(candidate => candidate.method))];
+        res.setHeader('Allow', allowed.join(', '));
+        throw new HttpError(405, 'method_not_allowed', `${req.method} is not supported here`);
+      }
+      format = route.formatError;
+
+      const values = route.regex.exec(url.pathname).slice(1);
+      const params = {};
+      route.keys.forEach((key, i) => {
+        try {
+          params[key] = decodeURIComponent(values[i]);
+        } catch (err) {
+          throw new HttpError(400, 'invalid_path', `Malformed ${key} in path`);
+        }
+      });
+
+      const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readJson(req, maxBody) : {};
+      const send = (status, payload, headers) => sendJson(res, status, payload, headers);
+
+      const result = await route.handler({ req, res, params, query: url.searchParams, body, send });
+      if (result !== undefined && !res.headersSent) sendJson(res, 200, result);
+    } catch (err) {
+      sendError(res, err, format);
+    }
+  };
+
+  return {
+    get: add('GET'),
+    post: add('POST'),
+    put: add('PUT'),
+    patch: add('PATCH'),
+    delete: add('DELETE'),
+    handle
+  };
+};
+
+module.exports = { createRouter, HttpError };
@@ -0,0 +1,93 @@
+// Load test: simulate many local clients dragging their dials in one room.
+//
+//   node scripts/loadtest.js --clients 300 --duration 20 --rate 30
+//
+// Each client connects to the same room and sends `update` messages at
+// `rate` per second, like a dial being dragged. At the end it reports how
+// many messages and bytes the clients received, which is what the broadcast
+// scheduler is meant to keep flat as rooms grow.
+
+const WebSocket = require('ws');
+
+const args = process.argv.slice(2).reduce((acc, arg, i, all) => {
+  if (arg.startsWith('--')) acc[arg.slice(2)] = all[i + 1];
+  return acc;
+}, {});
+
+const URL = args.url || 'ws://localhost:3001/ws';
+const ROOM = args.room || 'L0ADTS';
+const CLIENTS = parseInt(args.clients, 10) || 300;
+const DURATION = (parseInt(args.duration, 10) || 20) * 1000;
+const RATE = parseInt(args.rate, 10) || 30;
+const CONNECT_BATCH = 50; // Open sockets in batches so the server isn't flooded with handshakes
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const totals = { connected: 0, messages: 0, bytes: 0, sent: 0, errors: 0, closed: 0 };
+
+const connectClient = (index) => new Promise(resolve => {
+  const ws = new WebSocket(`${URL}?room=${ROOM}&name=load-${index}`);
+  let boredom = Math.random() * 100;
+  let timer = null;
+
+  ws.on('open', () => {
+    totals.connected++;
+    timer = setInterval(() => {
+      boredom = Math.max(0, Math.min(100, boredom + (Math.random() - 0.5) * 10));
+      ws.send(JSON.stringify({ type: 'update', boredom }));
+      totals.sent++;
+    }, 1000 / RATE);
+    resolve(ws);
+  });
+
+  ws.on('message', (data) => {
+    totals.messages++;
+    totals.bytes += data.length;
+  });
+
+  ws.on('error', () => {
+    totals.errors++;
+    resolve(null);
+  });
+
+  ws.on('close', () => {
+    totals.closed++;
+    clearInterval(timer);
+  });
+});
+
+const main = async () => {
+  console.log(`Connecting ${CLIENTS} clients to ${URL} room ${ROOM}...`);
+
+  const sockets = [];
+  for (let i = 0; i < CLIENTS; i += CONNECT_BATCH) {
+    const batch = [];
+    for (let j = i; j < Math.min(CLIENTS, i + CONNECT_BATCH); j++) {
+      batch.push(connectClient(j));
+    }
+    sockets.push(...await Promise.all(batch));
+  }
+
+  console.log(`${totals.connected} connected, ${totals.errors} failed. Dragging at ${RATE} updates/s for ${DURATION / 1000}s...`);
+
+  // Only measure the steady state, not the join storm
+  totals.messages = 0;
+  totals.bytes = 0;
+  totals.sent = 0;
+  const start = Date.now();
+  await sleep(DURATION);
+  const seconds = (Date.now() - start) / 1000;
+
+  sockets.forEach(ws => ws && ws.close());
+  await sleep(500);
+
+  const perClient = totals.connected || 1;
+  console.log('');
+  console.log(`Updates sent:         ${totals.sent} (${Math.round(totals.sent / seconds)}/s)`);
+  console.log(`Messages received:    ${totals.messages} (${Math.round(totals.messages / seconds)}/s)`);
+  console.log(`  per client:         ${(totals.messages / perClient / seconds).toFixed(1)}/s`);
+  console.log(`Bytes received:       ${(totals.bytes / 1024 / 1024).toFixed(1)} MB`);
+  console.log(`  per client:         ${(totals.bytes / perClient / seconds / 1024).toFixed(1)} KB/s`);
+};
+
+main().then(() => process.exit(0));
@@ -0,0 +1,12 @@
+// Helpers for cleaning up host-supplied room settings
+
+// A whole number within [min, max], or `fallback` if `value` isn't a number.
+// Only numbers and numeric text count: Number('') and Number(null) are 0.
+const clampSetting = (value, min, max, fallback) => {
+  const numeric = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+  const number = numeric ? Number(value) : NaN;
+  if (!Number.isFinite(number)) return fallback;
+  return Math.max(min, Math.min(max, Math.round(number)));
+};
+
+module.exports = { clampSetting };
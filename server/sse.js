@@ -0,0 +1,111 @@
+// Server-Sent Events for read-only consumers like dashboards and overlays.
+//
+// Each room with subscribers gets a channel that numbers its events, so a
+// consumer reconnecting with Last-Event-ID gets what it missed replayed from a
+// short buffer (or a fresh snapshot if it fell too far behind). Subscribers
+// are not participants or observers and never show up in the room's counts.
+
+const HEARTBEAT = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000;
+const BUFFER_SIZE = 100; // Events kept per room for resuming
+const RETRY = 3000; // How long browsers wait before reconnecting
+
+const format = (id, event, payload) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+
+const createEventStreams = ({ heartbeat = HEARTBEAT } = {}) => {
+  // roomId -> { clients: Set<res>, seq, buffer: [{ id, event, payload }], lastStats }
+  const channels = new Map();
+  let timer = null;
+
+  const channelFor = (roomId) => {
+    if (!channels.has(roomId)) {
+      channels.set(roomId, { clients: new Set(), seq: 0, buffer: [], lastStats: null });
+    }
+    return channels.get(roomId);
+  };
+
+  // Send an event to a room's subscribers, keeping it for ones that reconnect
+  const publish = (roomId, event, payload) => {
+    const channel = channels.get(roomId);
+    if (!channel) return;
+
+    // Stats are re-sent on every broadcast tick; only pass on real changes
+    if (event === 'stats') {
+      const serialized = JSON.stringify(payload);
+      if (serialized === channel.lastStats) return;
+      channel.lastStats = serialized;
+    }
+
+    const entry = { id: ++channel.seq, event, payload };
+    channel.buffer.push(entry);
+    if (channel.buffer.length > BUFFER_SIZE) channel.buffer.shift();
+
+    const message = format(entry.id, event, payload);
+    channel.clients.forEach(res => res.write(message));
+  };
+
+  // Start streaming a room to `res`. `snapshot` gives the current stats for
+  // new subscribers and ones that can't be caught up from the buffer.
+  const subscribe = (roomId, req, res, snapshot) => {
+    const channel = channelFor(roomId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Keep nginx from holding events back
+    });
+    res.write(`retry: ${RETRY}\n\n`);
+
+    const lastId = parseInt(req.headers['last-event-id'], 10);
+    const oldest = channel.buffer.length > 0 ? channel.buffer[0].id : channel.seq + 1;
+    const canResume = Number.isInteger(lastId) && lastId <= channel.seq && lastId >= oldest - 1;
+
+    if (canResume) {
+      channel.buffer
+        .filter(entry => entry.id > lastId)
+        .forEach(entry => res.write(format(entry.id, entry.event, entry.payload)));
+    } else {
+      res.write(format(channel.seq, 'stats', snapshot()));
+    }
+
+    channel.clients.add(res);
+    req.on('close', () => channel.clients.delete(res));
+  };
+
+  // Tell a room's subscribers it is gone and hang up
+  const close = (roomId) => {
+    const channel = channels.get(roomId);
+    if (!channel) return;
+    channels.delete(roomId);
+    channel.clients.forEach(res => {
+      res.write(format(channel.seq + 1, 'closed', { roomId }));
+      res.end();
+    });
+  };
+
+  const count = (roomId) => channels.get(roomId)?.clients.size || 0;
+
+  return {
+    publish,
+    subscribe,
+    close,
+    count,
+
+    // Comment lines keep proxies from timing out quiet streams
+    start: () => {
+      if (timer) return;
+      timer = setInterval(() => {
+        channels.forEach(channel => channel.clients.forEach(res => res.write(': heartbeat\n\n')));
+      }, heartbeat);
+    },
+
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+      channels.forEach(channel => channel.clients.forEach(res => res.end()));
+      channels.clear();
+    }
+  };
+};
+
+module.exports = { createEventStreams };
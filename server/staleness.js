@@ -0,0 +1,52 @@
+const { clampSetting } = require('./settings');
+
+// Stale dial values - what happens to someone who set their dial and walked away
+//   off     - values count forever (the default)
+//   decay   - after the idle period the value drifts back toward neutral
+//   exclude - after the idle period the value stops counting at all
+
+const STALENESS_MODES = ['off', 'decay', 'exclude'];
+
+const NEUTRAL = 50;
+
+const DEFAULT_STALENESS = {
+  mode: 'off',
+  idleSeconds: 300, // Seconds without an update before a value is stale
+  halfLife: 60 // Decay mode: seconds for a stale value to get halfway to neutral
+};
+
+// Merge user-supplied staleness settings over a base, dropping anything invalid
+const normalizeStaleness = (input = {}, base = DEFAULT_STALENESS) => {
+  const rules = { ...base };
+  if (!input || typeof input !== 'object') return rules;
+
+  if (STALENESS_MODES.includes(input.mode)) rules.mode = input.mode;
+  if (input.idleSeconds !== undefined) rules.idleSeconds = clampSetting(input.idleSeconds, 30, 3600, base.idleSeconds);
+  if (input.halfLife !== undefined) rules.halfLife = clampSetting(input.halfLife, 10, 3600, base.halfLife);
+
+  return rules;
+};
+
+// Milliseconds a user has been idle past the room's idle period (0 if fresh)
+const staleFor = (user, rules, now = Date.now()) => {
+  if (rules.mode === 'off' || user.isBot) return 0;
+  return Math.max(0, now - user.lastUpdated - rules.idleSeconds * 1000);
+};
+
+const isStale = (user, rules, now) => staleFor(user, rules, now) > 0;
+
+// What one of a user's values counts for right now, or null if it doesn't count
+const effectiveValue = (value, user, rules, now) => {
+  const stale = staleFor(user, rules, now);
+  if (stale === 0) return value;
+  if (rules.mode === 'exclude') return null;
+  return NEUTRAL + (value - NEUTRAL) * 0.5 ** (stale / (rules.halfLife * 1000));
+};
+
+module.exports = {
+  STALENESS_MODES,
+  DEFAULT_STALENESS,
+  normalizeStaleness,
+  isStale,
+  effectiveValue
+};
@@ -0,0 +1,73 @@
+// Aggregate statistics over a room's boredom values
+
+// How a room turns everyone's values into the collective one
+//   mean    - arithmetic mean
+//   median  - middle value, ignores how far out the extremes are
+//   trimmed - mean of the values left after dropping the top and bottom 10%
+const AGGREGATION_METHODS = ['mean', 'median', 'trimmed'];
+
+const TRIM_FRACTION = 0.1;
+const HISTOGRAM_BUCKETS = 10;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Linear interpolation between the closest ranks of a sorted array
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const trimmedMean = (sorted, fraction = TRIM_FRACTION) => {
+  const trim = Math.floor(sorted.length * fraction);
+  return mean(sorted.slice(trim, sorted.length - trim));
+};
+
+// Count values into equal-width buckets over 0-100
+const histogram = (values, buckets = HISTOGRAM_BUCKETS) => {
+  const counts = new Array(buckets).fill(0);
+  values.forEach(value => {
+    const index = Math.min(buckets - 1, Math.floor((value / 100) * buckets));
+    counts[index]++;
+  });
+  return counts;
+};
+
+// Merge neighbouring buckets of a histogram down to `buckets` buckets
+const coarsen = (counts, buckets) => {
+  const size = counts.length / buckets;
+  return new Array(buckets).fill(0).map((_, index) => counts
+    .slice(Math.round(index * size), Math.round((index + 1) * size))
+    .reduce((sum, count) => sum + count, 0));
+};
+
+// Collective value of a room under the given aggregation method
+const aggregate = (values, method = 'mean') => {
+  if (values.length === 0) return 50;
+  const sorted = [...values].sort((a, b) => a - b);
+  if (method === 'median') return Math.round(quantile(sorted, 0.5));
+  if (method === 'trimmed') return Math.round(trimmedMean(sorted));
+  return Math.round(mean(sorted));
+};
+
+// Shape of the distribution, or null for an empty room
+const describe = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const average = mean(sorted);
+  const variance = mean(sorted.map(value => (value - average) ** 2));
+  const round = (value) => Math.round(value * 10) / 10;
+
+  return {
+    mean: round(average),
+    median: round(quantile(sorted, 0.5)),
+    std: round(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    q1: round(quantile(sorted, 0.25)),
+    q3: round(quantile(sorted, 0.75))
+  };
+};
+
+module.exports = { AGGREGATION_METHODS, aggregate, describe, histogram, coarsen };
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { HISTORY_LIMIT } = require('./history');
+
+// Persistence layer for rooms and their stats history.
+//
+// A store is a plain object with:
+//   loadRoom(roomId)             -> the saved room record, history included, or null
+//   saveRoom(roomId, data)       -> persist a room record (metadata and settings)
+//   appendSample(roomId, sample) -> add one stats snapshot to a room's history
+//   deleteRoom(roomId)           -> forget a room
+//   close()                      -> flush anything pending
+//
+// Pick a driver with STORE_DRIVER (file | memory). The file driver is the
+// default and keeps two files per room under DATA_DIR: the record as JSON,
+// rewritten when it changes, and the history as JSON lines, only appended to.
+
+const WRITE_DELAY = 1000; // Coalesce bursts of saves into one write per room
+
+// In-memory store - nothing survives a restart, handy for local experiments
+const createMemoryStore = ({ historyLimit = HISTORY_LIMIT } = {}) => {
+  const records = new Map();
+  const histories = new Map();
+
+  return {
+    loadRoom: (roomId) => (records.has(roomId)
+      ? { ...JSON.parse(JSON.stringify(records.get(roomId))), history: [...(histories.get(roomId) || [])] }
+      : null),
+    saveRoom: (roomId, data) => {
+      records.set(roomId, JSON.parse(JSON.stringify(data)));
+    },
+    appendSample: (roomId, sample) => {
+      const history = histories.get(roomId) || [];
+      history.push(JSON.parse(JSON.stringify(sample)));
+      if (history.length > historyLimit) history.splice(0, history.length - historyLimit);
+      histories.set(roomId, history);
+    },
+    deleteRoom: (roomId) => {
+      records.delete(roomId);
+      histories.delete(roomId);
+    },
+    close: () => {}
+  };
+};
+
+// File store - a JSON record written atomically plus an append-only history
+// per room. The history file is compacted down to the limit once it holds
+// twice as many samples.
+const createFileStore = (dir, { historyLimit = HISTORY_LIMIT } = {}) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const pending = new Map(); // roomId -> latest record waiting to be written
+  const timers = new Map();
+  const pendingSamples = new Map(); // roomId -> serialized samples waiting to be appended
+  const sampleTimers = new Map();
+  const sampleCounts = new Map(); // roomId -> samples in the history file
+  const chains = new Map(); // roomId -> the room's last history file operation
+
+  // Room codes are hex, but never trust an id that ends up in a path
+  const baseFor = (roomId) => path.join(dir, roomId.replace(/[^A-Za-z0-9_-]/g, ''));
+  const fileFor = (roomId) => `${baseFor(roomId)}.json`;
+  const historyFileFor = (roomId) => `${baseFor(roomId)}.history.jsonl`;
+
+  const readHistory = (roomId) => {
+    try {
+      return fs.readFileSync(historyFileFor(roomId), 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to read history of room ${roomId}:`, err.message);
+      return [];
+    }
+  };
+
+  // History file operations of a room run one after another, never interleaved
+  const enqueue = (roomId, operation) => {
+    const next = (chains.get(roomId) || Promise.resolve())
+      .then(operation)
+      .catch(err => console.error(`Failed to write history of room ${roomId}:`, err.message));
+    chains.set(roomId, next);
+    return next;
+  };
+
+  // Keep only the newest `historyLimit` samples
+  const compact = async (roomId) => {
+    const file = historyFileFor(roomId);
+    const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(line => line.trim());
+    const kept = lines.slice(-historyLimit);
+    await fs.promises.writeFile(`${file}.tmp`, `${kept.join('\n')}\n`);
+    await fs.promises.rename(`${file}.tmp`, file);
+    sampleCounts.set(roomId, kept.length);
+  };
+
+  const takeSamples = (roomId) => {
+    clearTimeout(sampleTimers.get(roomId));
+    sampleTimers.delete(roomId);
+    const lines = pendingSamples.get(roomId) || [];
+    pendingSamples.delete(roomId);
+    return lines;
+  };
+
+  const appendSamples = (roomId) => {
+    const lines = takeSamples(roomId);
+    if (lines.length === 0) return;
+
+    enqueue(roomId, async () => {
+      await fs.promises.appendFile(historyFileFor(roomId), `${lines.join('\n')}\n`);
+      const count = (sampleCounts.get(roomId) || 0) + lines.length;
+      sampleCounts.set(roomId, count);
+      if (count >= historyLimit * 2) await compact(roomId);
+    });
+  };
+
+  const write = (roomId) => {
+    timers.delete(roomId);
+    const data = pending.get(roomId);
+    pending.delete(roomId);
+    if (!data) return;
+
+    const file = fileFor(roomId);
+    const tmp = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error(`Failed to save room ${roomId}:`, err.message);
+    }
+  };
+
+  return {
+    loadRoom: (roomId) => {
+      // A record still waiting to be written is newer than the file
+      let record = pending.get(roomId);
+      if (!record) {
+        try {
+          record = JSON.parse(fs.readFileSync(fileFor(roomId), 'utf8'));
+        } catch (err) {
+          if (err.code !== 'ENOENT') console.error(`Skipping unreadable room file of ${roomId}:`, err.message);
+          return null;
+        }
+      }
+      if (record.roomId !== roomId) return null;
+
+      // Records from before the history file carry their history inline
+      if (Array.isArray(record.history) && !fs.existsSync(historyFileFor(roomId))) {
+        const lines = record.history.slice(-historyLimit).map(sample => JSON.stringify(sample));
+        if (lines.length > 0) fs.writeFileSync(historyFileFor(roomId), `${lines.join('\n')}\n`);
+      }
+
+      // Samples still waiting to be appended come after the file's
+      const saved = readHistory(roomId);
+      const queued = (pendingSamples.get(roomId) || []).map(line => JSON.parse(line));
+      sampleCounts.set(roomId, saved.length);
+      return { ...record, history: [...saved, ...queued].slice(-historyLimit) };
+    },
+
+    saveRoom: (roomId, data) => {
+      pending.set(roomId, data);
+      if (!timers.has(roomId)) {
+        timers.set(roomId, setTimeout(() => write(roomId), WRITE_DELAY));
+      }
+    },
+
+    appendSample: (roomId, sample) => {
+      if (!pendingSamples.has(roomId)) pendingSamples.set(roomId, []);
+      pendingSamples.get(roomId).push(JSON.stringify(sample));
+      if (!sampleTimers.has(roomId)) {
+        sampleTimers.set(roomId, setTimeout(() => appendSamples(roomId), WRITE_DELAY));
+      }
+    },
+
+    deleteRoom: (roomId) => {
+      clearTimeout(timers.get(roomId));
+      timers.delete(roomId);
+      pending.delete(roomId);
+      takeSamples(roomId);
+      sampleCounts.delete(roomId);
+      fs.rmSync(fileFor(roomId), { force: true });
+      // After any append still in flight, so it can't bring the file back
+      enqueue(roomId, () => fs.promises.rm(historyFileFor(roomId), { force: true }))
+        .then(() => chains.delete(roomId));
+    },
+
+    // Synchronous, for shutdown
+    close: () => {
+      Array.from(timers.keys()).forEach(roomId => {
+        clearTimeout(timers.get(roomId));
+        write(roomId);
+      });
+      Array.from(pendingSamples.keys()).forEach(roomId => {
+        const lines = takeSamples(roomId);
+        try {
+          fs.appendFileSync(historyFileFor(roomId), `${lines.join('\n')}\n`);
+        } catch (err) {
+          console.error(`Failed to write history of room ${roomId}:`, err.message);
+        }
+      });
+    }
+  };
+};
+
+const createStore = ({
+  driver = process.env.STORE_DRIVER || 'file',
+  dataDir = process.env.DATA_DIR || path.join(__dirname, 'data'),
+  historyLimit = HISTORY_LIMIT
+} = {}) => {
+  if (driver === 'memory') return createMemoryStore({ historyLimit });
+  if (driver === 'file') return createFileStore(dataDir, { historyLimit });
+  throw new Error(`Unknown store driver: ${driver}`);
+};
+
+module.exports = { createStore, createFileStore, createMemoryStore };
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createBotEngine } = require('../bots');
+
+const personalities = {
+  drifter: { name: 'Drifter', model: 'randomWalk', volatility: 20, interval: 1000 },
+  settler: { name: 'Settler', model: 'meanReverting', target: 30, volatility: 10, interval: 500 }
+};
+
+// An engine over its own rooms, with a bot of every personality in `roomIds`
+const simulate = (seed, roomIds) => {
+  const rooms = new Map(roomIds.map(roomId => [roomId, { users: new Map() }]));
+  const engine = createBotEngine({ rooms, personalities, seed });
+  roomIds.forEach(roomId => Object.keys(personalities).forEach(id => engine.addBot(roomId, id, 0)));
+  return { rooms, engine };
+};
+
+// Every bot's value after ticking a minute of simulated time
+const run = ({ rooms, engine }, roomId) => {
+  const trace = [];
+  for (let now = 0; now <= 60000; now += 250) {
+    engine.tick(now);
+    trace.push(Array.from(rooms.get(roomId).users.values()).map(user => user.boredom));
+  }
+  return trace;
+};
+
+test('engines with the same seed step identically', () => {
+  assert.deepStrictEqual(run(simulate(42, ['ROOM01']), 'ROOM01'), run(simulate(42, ['ROOM01']), 'ROOM01'));
+});
+
+test('a different seed gives a different simulation', () => {
+  assert.notDeepStrictEqual(run(simulate(42, ['ROOM01']), 'ROOM01'), run(simulate(43, ['ROOM01']), 'ROOM01'));
+});
+
+test("a room's bots don't depend on other rooms", () => {
+  assert.deepStrictEqual(
+    run(simulate(42, ['ROOM01']), 'ROOM01'),
+    run(simulate(42, ['ROOM00', 'ROOM01', 'ROOM02']), 'ROOM01')
+  );
+});
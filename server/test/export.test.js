@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildExport, toCsv } = require('../export');
+
+const room = (name, initiator) => ({
+  name: 'Retro',
+  createdAt: new Date(0),
+  agenda: { segments: [], runs: [] },
+  participants: { u1: { name, firstSeen: 1 } },
+  history: [{ timestamp: 1000, average: 40, count: 1, individuals: [{ id: 'u1', boredom: 40 }] }],
+  vetoes: [{ startedAt: 2000, initiator, initiatorId: 'u1', votes: 1, passed: true }]
+});
+
+test('cells that spreadsheets would run as formulas are escaped', () => {
+  const csv = toCsv(buildExport('ABC123', room('=HYPERLINK("x")', '@SUM(A1)')));
+
+  assert.ok(csv.includes(`"'=HYPERLINK(""x"")"`));
+  assert.ok(csv.includes(`'@SUM(A1)`));
+  ['+1', '-1', '\tcmd', '\rcmd'].forEach(name => {
+    assert.ok(toCsv(buildExport('ABC123', room(name, 'Ada'))).includes(`'${name}`), JSON.stringify(name));
+  });
+});
+
+test('ordinary names are written as typed', () => {
+  const csv = toCsv(buildExport('ABC123', room('Ada, Lovelace', 'Ada')));
+  assert.ok(csv.includes('"Ada, Lovelace"'));
+  assert.ok(csv.includes(',Ada,1,passed'));
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { queryHistory } = require('../history');
+
+const room = {
+  history: [
+    { timestamp: 1000, average: 40, count: 2, individuals: [{ id: 'a', boredom: 30 }, { id: 'b', boredom: 50 }] },
+    { timestamp: 2000, average: 60, count: 2, individuals: [{ id: 'a', boredom: 50 }, { id: 'b', boredom: 70 }] }
+  ],
+  vetoes: []
+};
+
+test('summary queries leave out individual values', () => {
+  const raw = queryHistory(room, { to: 5000, individuals: false });
+  assert.deepStrictEqual(raw.samples.map(sample => Object.keys(sample)), [
+    ['timestamp', 'average', 'count'],
+    ['timestamp', 'average', 'count']
+  ]);
+
+  const [bucket] = queryHistory(room, { to: 5000, bucket: 10000, individuals: false }).samples;
+  assert.deepStrictEqual(bucket, { timestamp: 0, average: 50, count: 2, segment: null });
+});
+
+test('full queries average each participant per bucket', () => {
+  const [bucket] = queryHistory(room, { to: 5000, bucket: 10000 }).samples;
+  assert.deepStrictEqual(bucket.individuals, [{ id: 'a', boredom: 40 }, { id: 'b', boredom: 60 }]);
+});
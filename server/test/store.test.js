@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../store');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'boredom-store-'));
+const sample = (timestamp) => ({ timestamp, average: timestamp, count: 1, individuals: [] });
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('history is appended apart from the room record and restored with it', () => {
+  const dir = tempDir();
+  const store = createFileStore(dir, { historyLimit: 100 });
+  store.saveRoom('ABC123', { roomId: 'ABC123', name: 'Standup' });
+  [1, 2, 3].forEach(timestamp => store.appendSample('ABC123', sample(timestamp)));
+  store.close();
+
+  assert.strictEqual('history' in JSON.parse(fs.readFileSync(path.join(dir, 'ABC123.json'), 'utf8')), false);
+  const record = createFileStore(dir).loadRoom('ABC123');
+  assert.strictEqual(record.name, 'Standup');
+  assert.deepStrictEqual(record.history.map(s => s.timestamp), [1, 2, 3]);
+});
+
+test('the history file is compacted to the limit', async () => {
+  const dir = tempDir();
+  const store = createFileStore(dir, { historyLimit: 3 });
+  store.saveRoom('ABC123', { roomId: 'ABC123' });
+  for (let timestamp = 1; timestamp <= 6; timestamp++) store.appendSample('ABC123', sample(timestamp));
+  store.close();
+
+  // Flushed in the background after the write delay
+  const again = createFileStore(dir, { historyLimit: 3 });
+  again.loadRoom('ABC123');
+  again.appendSample('ABC123', sample(7));
+  await wait(1200);
+
+  const lines = fs.readFileSync(path.join(dir, 'ABC123.history.jsonl'), 'utf8').trim().split('\n');
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line).timestamp), [5, 6, 7]);
+});
+
+test('records with inline history are moved to a history file', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, 'OLD001.json'), JSON.stringify({
+    roomId: 'OLD001',
+    history: [sample(1), sample(2)]
+  }));
+
+  const record = createFileStore(dir).loadRoom('OLD001');
+  assert.deepStrictEqual(record.history.map(s => s.timestamp), [1, 2]);
+  assert.ok(fs.existsSync(path.join(dir, 'OLD001.history.jsonl')));
+});
+
+test('a room reloaded before its writes land sees them', () => {
+  const store = createFileStore(tempDir());
+  store.saveRoom('ABC123', { roomId: 'ABC123', name: 'Standup' });
+  store.appendSample('ABC123', sample(1));
+
+  const record = store.loadRoom('ABC123');
+  assert.strictEqual(record.name, 'Standup');
+  assert.deepStrictEqual(record.history.map(s => s.timestamp), [1]);
+  assert.strictEqual(store.loadRoom('ZZZ999'), null);
+  store.close();
+});
+
+test('deleting a room removes its history', async () => {
+  const dir = tempDir();
+  const store = createFileStore(dir);
+  store.saveRoom('ABC123', { roomId: 'ABC123' });
+  store.appendSample('ABC123', sample(1));
+  store.close();
+  store.deleteRoom('ABC123');
+  await wait(50);
+
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeVetoRules, DEFAULT_VETO_RULES } = require('../veto');
+
+test('blank, null and boolean settings keep the current rule', () => {
+  const base = { ...DEFAULT_VETO_RULES, threshold: 80, duration: 30 };
+  for (const value of ['', '  ', null, false, true]) {
+    const rules = normalizeVetoRules({ threshold: value, duration: value }, base);
+    assert.strictEqual(rules.threshold, 80, JSON.stringify(value));
+    assert.strictEqual(rules.duration, 30, JSON.stringify(value));
+  }
+});
+
+test('numbers and numeric text are clamped into range', () => {
+  const rules = normalizeVetoRules({ threshold: '72', duration: 1, cooldown: 99999 });
+  assert.strictEqual(rules.threshold, 72);
+  assert.strictEqual(rules.duration, 5);
+  assert.strictEqual(rules.cooldown, 3600);
+});
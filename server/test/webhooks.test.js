@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { createWebhook, createWebhookDispatcher, checkTarget, sign } = require('../webhooks');
+
+// A local receiver answering with the given status codes in turn (the last one repeats)
+const startReceiver = async (statuses) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => server.close() };
+};
+
+const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error('Timed out');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const roomWith = (url, events) => {
+  const { webhook } = createWebhook({ url, events });
+  return { room: { webhooks: [webhook], webhookLog: [] }, webhook };
+};
+
+// Stand-in for dns.lookup resolving every host to `address`
+const resolvesTo = (address) => async () => [{ address, family: address.includes(':') ? 6 : 4 }];
+
+test('deliveries are signed over the timestamp and body', async () => {
+  const receiver = await startReceiver([200]);
+  const { room, webhook } = roomWith(receiver.url);
+  const dispatcher = createWebhookDispatcher({ allowPrivate: true });
+
+  dispatcher.emit(room, 'abc123', 'participant.joined', { name: 'Ada' });
+  await waitFor(() => room.webhookLog[0].status === 'delivered');
+  receiver.close();
+
+  const [{ headers, body }] = receiver.requests;
+  const expected = crypto.createHmac('sha256', webhook.secret)
+    .update(`${headers['x-boredom-timestamp']}.${body}`)
+    .digest('hex');
+  assert.strictEqual(headers['x-boredom-signature'], `sha256=${expected}`);
+  assert.strictEqual(headers['x-boredom-signature'], sign(webhook.secret, headers['x-boredom-timestamp'], body));
+  assert.strictEqual(headers['x-boredom-event'], 'participant.joined');
+  assert.deepStrictEqual(JSON.parse(body).data, { name: 'Ada' });
+});
+
+test('server errors are retried with the same delivery id', async () => {
+  const receiver = await startReceiver([500, 503, 200]);
+  const { room } = roomWith(receiver.url);
+  const dispatcher = createWebhookDispatcher({ allowPrivate: true, retryBase: 10 });
+
+  dispatcher.emit(room, 'abc123', 'veto.started');
+  await waitFor(() => room.webhookLog[0].status === 'delivered');
+  receiver.close();
+
+  const [entry] = room.webhookLog;
+  assert.deepStrictEqual(entry.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+  assert.deepStrictEqual(
+    [...new Set(receiver.requests.map(request => request.headers['x-boredom-delivery']))],
+    [entry.id]
+  );
+});
+
+test('client errors are not retried', async () => {
+  const receiver = await startReceiver([400]);
+  const { room } = roomWith(receiver.url);
+  const dispatcher = createWebhookDispatcher({ allowPrivate: true, retryBase: 10 });
+
+  dispatcher.emit(room, 'abc123', 'veto.failed');
+  await waitFor(() => room.webhookLog[0].status === 'failed');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  receiver.close();
+
+  assert.strictEqual(room.webhookLog[0].attempts.length, 1);
+  assert.strictEqual(receiver.requests.length, 1);
+});
+
+test('private targets are refused at delivery time', async () => {
+  const receiver = await startReceiver([200]);
+  const { room } = roomWith(receiver.url);
+  const dispatcher = createWebhookDispatcher({ allowPrivate: false, retryBase: 10 });
+
+  dispatcher.emit(room, 'abc123', 'room.closed');
+  await waitFor(() => room.webhookLog[0].status === 'failed');
+  receiver.close();
+
+  assert.strictEqual(room.webhookLog[0].attempts[0].error, 'private_address');
+  assert.strictEqual(receiver.requests.length, 0);
+});
+
+test('checkTarget refuses loopback, private and link-local addresses', async () => {
+  const blocked = ['127.0.0.1', '10.1.2.3', '172.18.0.2', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1',
+    'fe80::1', '::ffff:127.0.0.1'];
+  for (const address of blocked) {
+    assert.strictEqual(
+      await checkTarget('https://hooks.example.com/', { allowPrivate: false, lookup: resolvesTo(address) }),
+      'private_address',
+      address
+    );
+  }
+
+  assert.strictEqual(
+    await checkTarget('https://hooks.example.com/', { allowPrivate: false, lookup: resolvesTo('93.184.216.34') }),
+    null
+  );
+  assert.strictEqual(
+    await checkTarget('http://127.0.0.1:9000/', { allowPrivate: true, lookup: resolvesTo('127.0.0.1') }),
+    null
+  );
+  assert.strictEqual(
+    await checkTarget('https://nowhere.invalid/', {
+      allowPrivate: false,
+      lookup: async () => { throw new Error('ENOTFOUND'); }
+    }),
+    'unresolvable'
+  );
+});
@@ -0,0 +1,68 @@
+const { clampSetting } = require('./settings');
+
+// Veto rules and vote accounting - how a room decides to veto the current speaker
+
+const DEFAULT_VETO_RULES = {
+  threshold: 66, // Collective boredom needed before a veto can be called
+  duration: 15, // Seconds to vote
+  quorumType: 'percent', // 'percent' of participants or an absolute 'count'
+  quorum: 0, // Minimum number of votes for a veto to pass (0 = no quorum)
+  majority: 'simple', // 'simple' (half of participants) or 'super' (two thirds)
+  cooldown: 0 // Seconds to wait after a veto ends before another can start
+};
+
+const MAJORITY_FRACTIONS = {
+  simple: 1 / 2,
+  super: 2 / 3
+};
+
+// Merge user-supplied rules over a base, dropping anything invalid
+const normalizeVetoRules = (input = {}, base = DEFAULT_VETO_RULES) => {
+  const rules = { ...base };
+  if (!input || typeof input !== 'object') return rules;
+
+  if (input.threshold !== undefined) rules.threshold = clampSetting(input.threshold, 0, 100, base.threshold);
+  if (input.duration !== undefined) rules.duration = clampSetting(input.duration, 5, 300, base.duration);
+  if (input.quorumType === 'percent' || input.quorumType === 'count') rules.quorumType = input.quorumType;
+  if (input.quorum !== undefined) {
+    rules.quorum = clampSetting(input.quorum, 0, rules.quorumType === 'percent' ? 100 : 10000, base.quorum);
+  }
+  if (input.majority in MAJORITY_FRACTIONS) rules.majority = input.majority;
+  if (input.cooldown !== undefined) rules.cooldown = clampSetting(input.cooldown, 0, 3600, base.cooldown);
+
+  return rules;
+};
+
+// Votes needed to pass a veto with `eligible` participants
+const votesNeeded = (rules, eligible) => {
+  const majority = Math.ceil(eligible * MAJORITY_FRACTIONS[rules.majority]);
+  const quorum = rules.quorumType === 'percent'
+    ? Math.ceil((eligible * rules.quorum) / 100)
+    : rules.quorum;
+  return Math.max(1, majority, quorum);
+};
+
+// People who may vote right now: connected participants or live REST API sessions, never bots
+const eligibleVoters = (room) => Array.from(room.users.entries())
+  .filter(([, user]) => !user.isBot && (user.ws || user.viaApi))
+  .map(([id]) => id);
+
+// Count the active veto against the room's current participants. Both the
+// pass check and the broadcast stats use this, so they can never disagree.
+const tallyVeto = (room) => {
+  const eligible = eligibleVoters(room);
+  const votes = eligible.filter(id => room.veto.votes.has(id)).length;
+  return {
+    votes,
+    eligible: eligible.length,
+    needed: votesNeeded(room.settings.vetoRules, eligible.length)
+  };
+};
+
+module.exports = {
+  DEFAULT_VETO_RULES,
+  normalizeVetoRules,
+  votesNeeded,
+  eligibleVoters,
+  tallyVeto
+};
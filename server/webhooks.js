@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { clampSetting } = require('./settings');
+
+// Outbound webhooks: per-room subscriptions to room events.
+//
+// Every delivery is a JSON POST of { id, event, roomId, createdAt, data } with
+//   X-Boredom-Event      the event name
+//   X-Boredom-Delivery   the delivery id (the same across retries)
+//   X-Boredom-Timestamp  unix seconds of this attempt
+//   X-Boredom-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+// Failed attempts are retried with exponential backoff, and every delivery is
+// kept in the room's delivery log.
+//
+// Hosts that resolve to loopback, private or link-local addresses are refused,
+// both when subscribing and before every attempt, so rooms can't be used to
+// reach services inside our network. WEBHOOK_ALLOW_PRIVATE=1 lifts this for
+// testing against a local receiver.
+
+const WEBHOOK_EVENTS = [
+  'participant.joined',
+  'participant.left',
+  'average.crossed', // The collective value crossed the subscription's threshold
+  'veto.started',
+  'veto.passed',
+  'veto.failed',
+  'room.closed'
+];
+
+const MAX_WEBHOOKS = 10; // Per room
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000; // Doubles after every failure
+const DELIVERY_TIMEOUT = 5000;
+const LOG_LIMIT = 200; // Deliveries kept per room
+
+const DEFAULT_THRESHOLD = 70;
+
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+
+// Addresses no webhook may be delivered to
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Link-local, cloud metadata services
+  ['172.16.0.0', 12], // Docker networks among them
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3] // Multicast and reserved
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], // Unspecified and loopback
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  // IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Resolve a webhook URL's host; returns null if it may be delivered to, or
+// 'unresolvable' / 'private_address'
+const checkTarget = async (url, { allowPrivate = ALLOW_PRIVATE, lookup = dns.lookup } = {}) => {
+  if (allowPrivate) return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true });
+  } catch (err) {
+    return 'unresolvable';
+  }
+  return addresses.some(({ address }) => isPrivateAddress(address)) ? 'private_address' : null;
+};
+
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Status codes worth trying again - anything else is the receiver saying no
+const isRetryable = (status) => status === 408 || status === 429 || status >= 500;
+
+// Validate a subscription request; returns { webhook } or { error }
+const createWebhook = (input = {}) => {
+  let url;
+  try {
+    url = new URL(input.url);
+  } catch (err) {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+
+  const events = input.events === undefined
+    ? WEBHOOK_EVENTS
+    : (Array.isArray(input.events) ? input.events : []).filter(event => WEBHOOK_EVENTS.includes(event));
+  if (events.length === 0) {
+    return { error: `events must include at least one of ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  return {
+    webhook: {
+      id: crypto.randomBytes(6).toString('hex'),
+      url: url.toString(),
+      events: [...new Set(events)],
+      threshold: clampSetting(input.threshold, 0, 100, DEFAULT_THRESHOLD),
+      secret: crypto.randomBytes(24).toString('hex'),
+      createdAt: Date.now()
+    }
+  };
+};
+
+// A subscription as listed through the API - the secret is only shown on creation
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+const createWebhookDispatcher = ({
+  send = fetch,
+  retryBase = RETRY_BASE,
+  allowPrivate = ALLOW_PRIVATE,
+  lookup = dns.lookup
+} = {}) => {
+  // Which side of its threshold each subscription last saw the room on
+  const sides = new WeakMap();
+
+  const log = (room, entry) => {
+    room.webhookLog.push(entry);
+    if (room.webhookLog.length > LOG_LIMIT) {
+      room.webhookLog.splice(0, room.webhookLog.length - LOG_LIMIT);
+    }
+  };
+
+  const deliver = async (room, webhook, entry, body) => {
+    // Stop retrying for subscriptions that were removed in the meantime
+    if (!room.webhooks.includes(webhook)) {
+      entry.status = 'cancelled';
+      entry.nextAttemptAt = null;
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { at: Date.now(), statusCode: null, error: null };
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+
+    let retry = true;
+    try {
+      // Checked on every attempt - DNS can change after the subscription was made
+      const refused = await checkTarget(webhook.url, { allowPrivate, lookup });
+      if (refused === 'private_address') {
+        retry = false;
+        throw new Error(refused);
+      }
+
+      const res = await send(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BoredomDial-Webhooks',
+          'X-Boredom-Event': entry.event,
+          'X-Boredom-Delivery': entry.id,
+          'X-Boredom-Timestamp': String(timestamp),
+          'X-Boredom-Signature': sign(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual', // A redirect could point anywhere; it counts as a refusal
+        signal: controller.signal
+      });
+      attempt.statusCode = res.status;
+      retry = !res.ok && isRetryable(res.status);
+      if (res.ok) entry.status = 'delivered';
+    } catch (err) {
+      attempt.error = err.name === 'AbortError' ? 'timeout' : err.cause?.code || err.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    entry.attempts.push(attempt);
+    entry.nextAttemptAt = null;
+    if (entry.status === 'delivered') return;
+
+    if (!retry || entry.attempts.length >= MAX_ATTEMPTS) {
+      entry.status = 'failed';
+      return;
+    }
+
+    const delay = retryBase * 2 ** (entry.attempts.length - 1);
+    entry.nextAttemptAt = Date.now() + delay;
+    setTimeout(() => deliver(room, webhook, entry, body), delay);
+  };
+
+  // Queue `event` for every subscription of the room that wants it (or just `only`)
+  const emit = (room, roomId, event, data = {}, only = null) => {
+    room.webhooks
+      .filter(webhook => webhook.events.includes(event) && (!only || webhook === only))
+      .forEach(webhook => {
+        const entry = {
+          id: crypto.randomBytes(8).toString('hex'),
+          webhookId: webhook.id,
+          event,
+          createdAt: Date.now(),
+          status: 'pending',
+          attempts: [],
+          nextAttemptAt: null
+        };
+        const body = JSON.stringify({
+          id: entry.id,
+          event,
+          roomId,
+          createdAt: new Date(entry.createdAt).toISOString(),
+          data
+        });
+        log(room, entry);
+        deliver(room, webhook, entry, body);
+      });
+  };
+
+  // Fire average.crossed for subscriptions whose threshold the value just crossed
+  const checkThresholds = (room, roomId, value) => {
+    room.webhooks
+      .filter(webhook => webhook.events.includes('average.crossed'))
+      .forEach(webhook => {
+        const side = value >= webhook.threshold ? 'above' : 'below';
+        const previous = sides.get(webhook);
+        sides.set(webhook, side);
+        // The first value only sets the baseline
+        if (previous && previous !== side) {
+          emit(room, roomId, 'average.crossed', {
+            threshold: webhook.threshold,
+            direction: side === 'above' ? 'up' : 'down',
+            value
+          }, webhook);
+        }
+      });
+  };
+
+  // The delivery log, newest first, optionally for one subscription or status
+  const deliveries = (room, { webhookId, status } = {}) => room.webhookLog
+    .filter(entry => (!webhookId || entry.webhookId === webhookId) && (!status || entry.status === status))
+    .reverse();
+
+  return { emit, checkThresholds, deliveries };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS,
+  createWebhook,
+  publicWebhook,
+  createWebhookDispatcher,
+  checkTarget,
+  sign
+};
@@ -1,7 +1,13 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { BrowserRouter, Routes, Route, useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { QRCodeSVG } from 'qrcode.react';
-import Dial from './components/Dial';
+import Dial, { BOREDOM_SCALE, bandFor } from './components/Dial';
+import Timeline from './components/Timeline';
+import Agenda, { SegmentSummary } from './components/Agenda';
+import HostPanel from './components/HostPanel';
+import Distribution from './components/Distribution';
+import DimensionDials from './components/DimensionDials';
+import ConnectionStatus from './components/ConnectionStatus';
 import './App.css';
 
 // Same colors as in Dial.js - keep in sync!
@@ -18,26 +24,139 @@ const USER_COLORS = [
   '#c084fc', // violet
 ];
 
-// WebSocket connection hook
-const useWebSocket = (roomId = 'global', userName = null) => {
+// Host tokens from room creation are kept per room in localStorage
+const hostTokenKey = (roomId) => `boredom-host-${roomId}`;
+
+// Session tokens let us resume as the same participant after a dropped
+// connection. They live in sessionStorage so each tab is its own participant.
+const sessionKey = (roomId) => `boredom-session-${roomId}`;
+
+// Close codes sent by the server when we should not reconnect
+const CLOSE_KICKED = 4001;
+const CLOSE_REPLACED = 4002;
+const CLOSE_LOCKED = 4003;
+const CLOSE_UNAUTHORIZED = 4004;
+const CLOSE_ROOM_CLOSED = 4005;
+
+// Minimum gap between boredom updates sent while dragging
+const SEND_INTERVAL = 100;
+
+// Apply a stats delta to the participant list
+const mergeIndividuals = (current, { upserts = [], removed = [] }) => {
+  const gone = new Set(removed);
+  const changed = new Map(upserts.map(ind => [ind.id, ind]));
+  const merged = current
+    .filter(ind => !gone.has(ind.id))
+    .map(ind => (changed.has(ind.id) ? { ...ind, ...changed.get(ind.id) } : ind));
+  const known = new Set(current.map(ind => ind.id));
+  return merged.concat(upserts.filter(ind => !known.has(ind.id)));
+};
+
+// Fold a value update into an earlier one, dimension values included
+const mergeUpdate = (base, update) => ({
+  ...base,
+  ...update,
+  ...(update.values ? { values: { ...base?.values, ...update.values } } : {})
+});
+
+// Reconnect backoff
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// Mirrors DEFAULT_VETO_RULES in server/veto.js until the server tells us otherwise
+const DEFAULT_VETO_RULES = {
+  threshold: 66,
+  duration: 15,
+  quorumType: 'percent',
+  quorum: 0,
+  majority: 'simple',
+  cooldown: 0
+};
+
+// Keep the same object while settings are unchanged so forms don't reset
+const keepIfSame = (current, next) => (JSON.stringify(current) === JSON.stringify(next) ? current : next);
+
+// Same defaults as server/staleness.js - idle values count forever
+const DEFAULT_STALENESS = { mode: 'off', idleSeconds: 300, halfLife: 60 };
+
+// Rooms without their own dimensions rate boredom only
+const DEFAULT_DIMENSIONS = [{ id: 'boredom', name: 'Boredom', scale: BOREDOM_SCALE }];
+
+// Presets a new room can rate alongside boredom (see server/dimensions.js)
+const EXTRA_DIMENSION_PRESETS = [
+  { id: 'clarity', name: 'Clarity' },
+  { id: 'pace', name: 'Pace' },
+  { id: 'energy', name: 'Energy' }
+];
+
+// Human readable summary of a room's veto rules
+const describeVetoRules = (rules) => {
+  const parts = [rules.majority === 'super' ? 'Two-thirds majority' : 'Simple majority'];
+  if (rules.quorum > 0) {
+    parts.push(rules.quorumType === 'percent' ? `${rules.quorum}% quorum` : `quorum of ${rules.quorum}`);
+  }
+  parts.push(`${rules.duration}s to vote`);
+  return parts.join(' · ');
+};
+
+// WebSocket connection hook. Observers watch the room without being counted.
+const useWebSocket = (roomId = 'global', userName = null, { role = 'participant' } = {}) => {
   const [isConnected, setIsConnected] = useState(false);
   const [userId, setUserId] = useState(null);
   const [roomName, setRoomName] = useState('');
   const [globalBoredom, setGlobalBoredom] = useState(50);
   const [userCount, setUserCount] = useState(0);
+  const [observerCount, setObserverCount] = useState(0);
   const [individuals, setIndividuals] = useState([]);
+  const [roster, setRoster] = useState(null); // Host only, in aggregate-only rooms
   const [error, setError] = useState(null);
   const [vetoAvailable, setVetoAvailable] = useState(false);
   const [veto, setVeto] = useState(null);
   const [vetoResult, setVetoResult] = useState(null);
+  const [isHost, setIsHost] = useState(false);
+  const [locked, setLocked] = useState(false);
+  const [listed, setListed] = useState(false);
+  const [description, setDescription] = useState('');
+  const [vetoDisabled, setVetoDisabled] = useState(false);
+  const [vetoRules, setVetoRules] = useState(DEFAULT_VETO_RULES);
+  const [vetoCooldown, setVetoCooldown] = useState(0);
+  const [privacy, setPrivacy] = useState('visible');
+  const [histogram, setHistogram] = useState(null);
+  const [distribution, setDistribution] = useState(null);
+  const [aggregation, setAggregation] = useState('mean');
+  const [dimensions, setDimensions] = useState(DEFAULT_DIMENSIONS);
+  const [dimensionStats, setDimensionStats] = useState({});
+  const [staleness, setStaleness] = useState(DEFAULT_STALENESS);
+  const [agenda, setAgenda] = useState(null);
+  const [boredomOverride, setBoredomOverride] = useState(null);
+  const [reconnectAttempt, setReconnectAttempt] = useState(0);
+  const [retryAt, setRetryAt] = useState(null);
+  const [hasPendingChanges, setHasPendingChanges] = useState(false);
   const wsRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
+  const reconnectAttemptsRef = useRef(0);
+  const pendingUpdateRef = useRef(null);
+  const lastSentRef = useRef(null); // Everything we've set, for a session the server lost
+  const pendingVoteRef = useRef(null);
+  const sendTimeoutRef = useRef(null);
 
   const connect = useCallback(() => {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     let wsUrl = `${protocol}//${window.location.host}/ws?room=${roomId}`;
-    if (userName) {
-      wsUrl += `&name=${encodeURIComponent(userName)}`;
+    if (role === 'observer') {
+      wsUrl += '&role=observer';
+    } else {
+      if (userName) {
+        wsUrl += `&name=${encodeURIComponent(userName)}`;
+      }
+      const hostToken = localStorage.getItem(hostTokenKey(roomId));
+      if (hostToken) {
+        wsUrl += `&hostToken=${encodeURIComponent(hostToken)}`;
+      }
+      const sessionToken = sessionStorage.getItem(sessionKey(roomId));
+      if (sessionToken) {
+        wsUrl += `&session=${encodeURIComponent(sessionToken)}`;
+      }
     }
 
     try {
@@ -47,26 +166,89 @@ const useWebSocket = (roomId = 'global', userName = null) => {
       ws.onopen = () => {
         setIsConnected(true);
         setError(null);
+        reconnectAttemptsRef.current = 0;
       };
 
       ws.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
 
+          // Full snapshots carry every field, deltas only the ones that changed
+          const applyStats = (stats) => {
+            if ('roomName' in stats) setRoomName(stats.roomName || '');
+            if ('collective' in stats) setGlobalBoredom(stats.collective ?? 50);
+            if ('count' in stats) setUserCount(stats.count || 0);
+            if ('observers' in stats) setObserverCount(stats.observers || 0);
+            if ('vetoAvailable' in stats) setVetoAvailable(stats.vetoAvailable || false);
+            if ('veto' in stats) setVeto(stats.veto || null);
+            if ('locked' in stats) setLocked(stats.locked || false);
+            if ('listed' in stats) setListed(stats.listed || false);
+            if ('description' in stats) setDescription(stats.description || '');
+            if ('vetoDisabled' in stats) setVetoDisabled(stats.vetoDisabled || false);
+            if ('vetoRules' in stats) {
+              setVetoRules((current) => keepIfSame(current, stats.vetoRules || DEFAULT_VETO_RULES));
+            }
+            if ('vetoCooldown' in stats) setVetoCooldown(stats.vetoCooldown || 0);
+            if ('privacy' in stats) setPrivacy(stats.privacy || 'visible');
+            if ('histogram' in stats) setHistogram(stats.histogram || null);
+            if ('distribution' in stats) setDistribution(stats.distribution || null);
+            if ('aggregation' in stats) setAggregation(stats.aggregation || 'mean');
+            if ('dimensions' in stats) {
+              // Same object while unchanged, so the dials don't re-render for nothing
+              setDimensions((current) => keepIfSame(current, stats.dimensions || DEFAULT_DIMENSIONS));
+            }
+            if ('dimensionStats' in stats) setDimensionStats(stats.dimensionStats || {});
+            if ('staleness' in stats) {
+              setStaleness((current) => keepIfSame(current, stats.staleness || DEFAULT_STALENESS));
+            }
+            if ('agenda' in stats) setAgenda(stats.agenda || null);
+            if ('roster' in stats) setRoster(stats.roster || null);
+            if (stats.individuals) setIndividuals(stats.individuals);
+            if (stats.upserts || stats.removed) {
+              setIndividuals((current) => mergeIndividuals(current, stats));
+            }
+          };
+
           if (data.type === 'welcome') {
+            if (data.sessionToken) {
+              sessionStorage.setItem(sessionKey(roomId), data.sessionToken);
+            }
+            // A resumed session keeps the server's value (it may have decayed)
+            // unless we changed it while offline. A fresh one - the grace period
+            // ran out or the server restarted - gets our last values back
+            // instead of the server's 50.
+            const replay = data.resumed ? pendingUpdateRef.current : lastSentRef.current;
+            setBoredomOverride({
+              value: replay?.boredom ?? data.boredom ?? 50,
+              values: { ...data.values, ...replay?.values }
+            });
+            setUserId(data.userId);
+            setIsHost(data.isHost || false);
+            setReconnectAttempt(0);
+            setRetryAt(null);
+            applyStats(data);
+
+            // Replay what was queued while offline
+            if (replay) {
+              ws.send(JSON.stringify({ type: 'update', ...replay }));
+            }
+            pendingUpdateRef.current = null;
+            const pendingVote = pendingVoteRef.current;
+            if (pendingVote !== null && data.veto && data.veto.hasVoted !== pendingVote) {
+              ws.send(JSON.stringify({ type: 'vetoVote', vote: pendingVote }));
+            }
+            pendingVoteRef.current = null;
+            setHasPendingChanges(false);
+          } else if (data.type === 'stats' || data.type === 'delta') {
+            applyStats(data);
+          } else if (data.type === 'identity') {
+            // Our id in the stats changes with the room's privacy mode
             setUserId(data.userId);
-            setRoomName(data.roomName || '');
-            setGlobalBoredom(data.average || 50);
-            setUserCount(data.count || 0);
-            setIndividuals(data.individuals || []);
-            setVetoAvailable(data.vetoAvailable || false);
-            setVeto(data.veto || null);
-          } else if (data.type === 'stats') {
-            setGlobalBoredom(data.average || 50);
-            setUserCount(data.count || 0);
-            setIndividuals(data.individuals || []);
-            setVetoAvailable(data.vetoAvailable || false);
-            setVeto(data.veto || null);
+          } else if (data.type === 'reset') {
+            lastSentRef.current = { boredom: data.boredom, values: data.values || {} };
+            setBoredomOverride({ value: data.boredom, values: data.values || {} });
+          } else if (data.type === 'error') {
+            setError(data.error);
           } else if (data.type === 'vetoResult') {
             setVetoResult({ passed: data.passed, votes: data.votes });
             setVeto(null);
@@ -78,13 +260,41 @@ const useWebSocket = (roomId = 'global', userName = null) => {
         }
       };
 
-      ws.onclose = () => {
+      ws.onclose = (event) => {
         setIsConnected(false);
         wsRef.current = null;
 
+        if (event.code === CLOSE_KICKED) {
+          setError('You were removed from this room by the host');
+          return;
+        }
+        if (event.code === CLOSE_LOCKED) {
+          setError('This room is locked');
+          return;
+        }
+        if (event.code === CLOSE_REPLACED) {
+          setError('This room was opened in another window');
+          return;
+        }
+        if (event.code === CLOSE_UNAUTHORIZED) {
+          setError('Not allowed to join this room that way');
+          return;
+        }
+        if (event.code === CLOSE_ROOM_CLOSED) {
+          setError('This room has been closed by the host');
+          return;
+        }
+
+        // Exponential backoff with a little jitter so clients don't reconnect in lockstep
+        const attempt = reconnectAttemptsRef.current;
+        reconnectAttemptsRef.current = attempt + 1;
+        const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt)
+          * (0.8 + Math.random() * 0.4);
+        setReconnectAttempt(attempt + 1);
+        setRetryAt(Date.now() + delay);
         reconnectTimeoutRef.current = setTimeout(() => {
           connect();
-        }, 2000);
+        }, delay);
       };
 
       ws.onerror = () => {
@@ -93,7 +303,7 @@ const useWebSocket = (roomId = 'global', userName = null) => {
     } catch (err) {
       setError('Failed to connect');
     }
-  }, [roomId, userName]);
+  }, [roomId, userName, role]);
 
   useEffect(() => {
     connect();
@@ -102,21 +312,65 @@ const useWebSocket = (roomId = 'global', userName = null) => {
       if (reconnectTimeoutRef.current) {
         clearTimeout(reconnectTimeoutRef.current);
       }
+      if (sendTimeoutRef.current) {
+        clearTimeout(sendTimeoutRef.current);
+        sendTimeoutRef.current = null;
+      }
       if (wsRef.current) {
+        // Closing on purpose - don't schedule a reconnect
+        wsRef.current.onclose = null;
         wsRef.current.close();
       }
     };
   }, [connect]);
 
-  const sendBoredom = useCallback((value) => {
-    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+  // Skip the rest of the backoff and try again now
+  const reconnectNow = useCallback(() => {
+    if (wsRef.current) return;
+    clearTimeout(reconnectTimeoutRef.current);
+    connect();
+  }, [connect]);
+
+  // Coming back online is the best moment to retry
+  useEffect(() => {
+    window.addEventListener('online', reconnectNow);
+    return () => window.removeEventListener('online', reconnectNow);
+  }, [reconnectNow]);
+
+  // Dragging fires on every pointer move - send at most one update per
+  // interval, always ending with the latest values. While offline the
+  // latest values wait for the next welcome instead of being dropped.
+  const queueUpdate = useCallback((update) => {
+    pendingUpdateRef.current = mergeUpdate(pendingUpdateRef.current, update);
+    lastSentRef.current = mergeUpdate(lastSentRef.current, update);
+    if (sendTimeoutRef.current) return;
+
+    const flush = () => {
+      sendTimeoutRef.current = null;
+      if (pendingUpdateRef.current === null) return;
+      if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) {
+        setHasPendingChanges(true);
+        return;
+      }
       wsRef.current.send(JSON.stringify({
         type: 'update',
-        boredom: value
+        ...pendingUpdateRef.current
       }));
-    }
+      pendingUpdateRef.current = null;
+      sendTimeoutRef.current = setTimeout(flush, SEND_INTERVAL);
+    };
+
+    flush();
   }, []);
 
+  // The room's primary dimension
+  const sendBoredom = useCallback((value) => queueUpdate({ boredom: value }), [queueUpdate]);
+
+  // Any of the room's other dimensions, by id
+  const sendValue = useCallback((dimensionId, value) => {
+    queueUpdate({ values: { [dimensionId]: value } });
+  }, [queueUpdate]);
+
   const sendName = useCallback((name) => {
     if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
       wsRef.current.send(JSON.stringify({
@@ -134,10 +388,29 @@ const useWebSocket = (roomId = 'global', userName = null) => {
     }
   }, []);
 
-  const voteVeto = useCallback(() => {
+  // Votes cast while offline are kept and replayed if the veto is still open
+  const sendVote = useCallback((vote) => {
     if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
       wsRef.current.send(JSON.stringify({
-        type: 'vetoVote'
+        type: 'vetoVote',
+        vote
+      }));
+    } else {
+      pendingVoteRef.current = vote;
+      setHasPendingChanges(true);
+    }
+  }, []);
+
+  const voteVeto = useCallback(() => sendVote(true), [sendVote]);
+
+  const withdrawVetoVote = useCallback(() => sendVote(false), [sendVote]);
+
+  const sendHostAction = useCallback((action, payload = {}) => {
+    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({
+        type: 'hostAction',
+        action,
+        ...payload
       }));
     }
   }, []);
@@ -148,20 +421,161 @@ const useWebSocket = (roomId = 'global', userName = null) => {
     roomName,
     globalBoredom,
     userCount,
+    observerCount,
     individuals,
+    roster,
     error,
     sendBoredom,
+    sendValue,
     sendName,
     vetoAvailable,
     veto,
     vetoResult,
     startVeto,
-    voteVeto
+    voteVeto,
+    withdrawVetoVote,
+    isHost,
+    locked,
+    listed,
+    description,
+    vetoDisabled,
+    vetoRules,
+    vetoCooldown,
+    privacy,
+    histogram,
+    distribution,
+    aggregation,
+    dimensions,
+    dimensionStats,
+    staleness,
+    agenda,
+    boredomOverride,
+    sendHostAction,
+    reconnectAttempt,
+    retryAt,
+    hasPendingChanges,
+    reconnectNow
   };
 };
 
+// Poll a JSON endpoint, keeping the last good response. Polling is
+// best-effort: a failed request keeps what we have. A null url pauses it.
+const usePolledJson = (url, interval) => {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    if (!url) return;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const res = await fetch(url);
+        if (!res.ok) return;
+        const json = await res.json();
+        if (!cancelled) setData(json);
+      } catch (err) {
+        // Try again on the next tick
+      }
+    };
+
+    load();
+    const timer = setInterval(load, interval);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [url, interval]);
+
+  return data;
+};
+
+// Poll a room's stats history for the timeline chart
+const useRoomHistory = (roomId, { bucket = 10, interval = 10000 } = {}) => {
+  const data = usePolledJson(`/api/v1/rooms/${roomId}/history?bucket=${bucket}&summary=1`, interval);
+  return useMemo(() => ({ samples: data?.samples || [], vetoes: data?.vetoes || [] }), [data]);
+};
+
+// Watch a room over Server-Sent Events - read-only, never counted in the room
+const useRoomEvents = (roomId) => {
+  const [stats, setStats] = useState(null);
+  const [status, setStatus] = useState('connecting');
+
+  useEffect(() => {
+    const source = new EventSource(`/api/v1/rooms/${roomId}/events`);
+
+    source.addEventListener('stats', (event) => {
+      setStats(JSON.parse(event.data));
+      setStatus('live');
+    });
+    source.addEventListener('closed', () => {
+      setStatus('closed');
+      source.close();
+    });
+    // EventSource retries by itself (resuming with Last-Event-ID) unless the
+    // server refused the stream outright, e.g. for a room that doesn't exist
+    source.onerror = () => {
+      setStatus(source.readyState === EventSource.CLOSED ? 'closed' : 'connecting');
+    };
+
+    return () => source.close();
+  }, [roomId]);
+
+  return { stats, status };
+};
+
+// Poll the per-segment summary of a room's agenda
+const useAgendaSummary = (roomId, { enabled = true, interval = 10000 } = {}) => {
+  const data = usePolledJson(enabled ? `/api/v1/rooms/${roomId}/agenda` : null, interval);
+  return data?.segments || [];
+};
+
+// Poll the directory of public rooms for the home page
+const useRoomDirectory = ({ interval = 5000 } = {}) => {
+  const data = usePolledJson('/api/v1/rooms', interval);
+  return { rooms: data?.rooms || [], loaded: data !== null };
+};
+
+// Screen reader announcements for what sighted users notice at a glance: the
+// collective moving into another band, and vetoes starting and ending
+const useAnnouncements = ({ value, dimension, veto, vetoResult }) => {
+  const [status, setStatus] = useState('');
+  const [alert, setAlert] = useState('');
+  const valueRef = useRef(value);
+  const vetoRef = useRef(veto);
+  const bandRef = useRef(null);
+  valueRef.current = value;
+  vetoRef.current = veto;
+
+  const band = bandFor(dimension.scale.bands, value).label;
+  const vetoActive = Boolean(veto);
+
+  useEffect(() => {
+    // Don't announce the band we joined in
+    if (bandRef.current !== null && bandRef.current !== band) {
+      setStatus(`Collective ${dimension.name.toLowerCase()} is now ${band}, ${Math.round(valueRef.current)}`);
+    }
+    bandRef.current = band;
+  }, [band, dimension.name]);
+
+  // Only the start of a veto, not every second of its countdown
+  useEffect(() => {
+    if (vetoActive && vetoRef.current) {
+      const { initiator, timeLeft } = vetoRef.current;
+      setAlert(`${initiator} started a veto vote. ${timeLeft} seconds to vote.`);
+    }
+  }, [vetoActive]);
+
+  useEffect(() => {
+    if (vetoResult) {
+      setAlert(vetoResult.passed ? 'Veto passed. The speaker has been vetoed.' : 'Veto failed. The speaker continues.');
+    }
+  }, [vetoResult]);
+
+  return { status, alert };
+};
+
 // Mini dial with user-specific color
-const MiniDial = ({ value, label, isYou, isBot, userColor }) => {
+const MiniDial = ({ value, label, isYou, isBot, isHost, isStale, userColor }) => {
   const size = 80;
   const center = size / 2;
   const radius = size * 0.35;
@@ -187,8 +601,11 @@ const MiniDial = ({ value, label, isYou, isBot, userColor }) => {
   const currentAngle = valueToAngle(value);
 
   return (
-    <div className={`mini-dial ${isYou ? 'is-you' : ''} ${isBot ? 'is-bot' : ''}`}>
-      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+    <div
+      className={`mini-dial ${isYou ? 'is-you' : ''} ${isBot ? 'is-bot' : ''} ${isStale ? 'is-stale' : ''}`}
+      title={isStale ? 'Idle - not updated recently' : undefined}
+    >
+      <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} role="img" aria-label={`${label}: ${Math.round(value)}`}>
         <path
           d={createArc(-135, 135)}
           fill="none"
@@ -219,6 +636,7 @@ const MiniDial = ({ value, label, isYou, isBot, userColor }) => {
       <div className="mini-dial-label" style={{ color: userColor }}>
         {isYou ? 'You' : label || 'User'}
         {isBot && <span className="bot-badge">bot</span>}
+        {isHost && <span className="bot-badge">host</span>}
       </div>
     </div>
   );
@@ -229,20 +647,39 @@ function HomePage() {
   const navigate = useNavigate();
   const [roomCode, setRoomCode] = useState('');
   const [roomName, setRoomName] = useState('');
+  const [extraDimensions, setExtraDimensions] = useState([]);
+  const [listPublicly, setListPublicly] = useState(false);
+  const [roomDescription, setRoomDescription] = useState('');
+  const [search, setSearch] = useState('');
   const [creating, setCreating] = useState(false);
   const [error, setError] = useState('');
+  const directory = useRoomDirectory();
+
+  // Searching filters what we already have, so results follow every keystroke
+  const needle = search.trim().toLowerCase();
+  const liveRooms = directory.rooms.filter(room => !needle ||
+    room.name.toLowerCase().includes(needle) ||
+    (room.description || '').toLowerCase().includes(needle));
 
   const createRoom = async () => {
     setCreating(true);
     setError('');
     try {
-      const res = await fetch('/api/rooms', {
+      const res = await fetch('/api/v1/rooms', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: roomName || undefined })
+        body: JSON.stringify({
+          name: roomName || undefined,
+          dimensions: extraDimensions.length > 0 ? ['boredom', ...extraDimensions] : undefined,
+          public: listPublicly,
+          description: listPublicly ? roomDescription : undefined
+        })
       });
       const data = await res.json();
       if (data.roomId) {
+        if (data.hostToken) {
+          localStorage.setItem(hostTokenKey(data.roomId), data.hostToken);
+        }
         navigate(`/room/${data.roomId}`);
       } else {
         setError('Failed to create room');
@@ -253,6 +690,12 @@ function HomePage() {
     setCreating(false);
   };
 
+  const toggleDimension = (id) => {
+    setExtraDimensions((current) => current.includes(id)
+      ? current.filter(other => other !== id)
+      : [...current, id]);
+  };
+
   const joinRoom = () => {
     const code = roomCode.trim().toUpperCase();
     if (code.length === 6) {
@@ -293,6 +736,36 @@ function HomePage() {
               onChange={(e) => setRoomName(e.target.value)}
               className="input-field"
             />
+            <div className="dimension-options">
+              <span>Also rate:</span>
+              {EXTRA_DIMENSION_PRESETS.map((dimension) => (
+                <label key={dimension.id}>
+                  <input
+                    type="checkbox"
+                    checked={extraDimensions.includes(dimension.id)}
+                    onChange={() => toggleDimension(dimension.id)}
+                  />
+                  {dimension.name}
+                </label>
+              ))}
+            </div>
+            <label className="public-option">
+              <input
+                type="checkbox"
+                checked={listPublicly}
+                onChange={(e) => setListPublicly(e.target.checked)}
+              />
+              List in Live rooms
+            </label>
+            {listPublicly && (
+              <input
+                type="text"
+                placeholder="Short description (optional)"
+                value={roomDescription}
+                onChange={(e) => setRoomDescription(e.target.value.slice(0, 200))}
+                className="input-field"
+              />
+            )}
             <button
               className="btn btn-secondary"
               onClick={createRoom}
@@ -328,6 +801,46 @@ function HomePage() {
         </div>
 
         {error && <p className="error-message">{error}</p>}
+
+        <section className="live-rooms">
+          <div className="live-rooms-header">
+            <h2>Live rooms</h2>
+            <input
+              type="search"
+              placeholder="Search rooms"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="input-field"
+              aria-label="Search live rooms"
+            />
+          </div>
+          {directory.loaded && liveRooms.length === 0 && (
+            <p className="live-rooms-empty">
+              {needle ? 'No rooms match your search' : 'No public rooms right now'}
+            </p>
+          )}
+          <ul className="live-rooms-list">
+            {liveRooms.map((room) => (
+              <li key={room.roomId} className="live-room">
+                <div className="live-room-info">
+                  <span className="live-room-name">{room.locked ? '🔒 ' : ''}{room.name}</span>
+                  {room.description && <span className="live-room-description">{room.description}</span>}
+                </div>
+                <span className="live-room-stats">
+                  {room.participants} {room.participants === 1 ? 'person' : 'people'}
+                  {room.bots > 0 && ` + ${room.bots} bots`} · {room.average}%
+                </span>
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => navigate(`/room/${room.roomId}`)}
+                  disabled={room.locked}
+                >
+                  Join
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
       </main>
 
       <footer className="app-footer">
@@ -342,17 +855,39 @@ function RoomPage() {
   const { roomId } = useParams();
   const navigate = useNavigate();
   const [myBoredom, setMyBoredom] = useState(50);
+  const [myValues, setMyValues] = useState({});
   const [showShare, setShowShare] = useState(false);
+  const [showDownload, setShowDownload] = useState(false);
+  const [anonymizeExport, setAnonymizeExport] = useState(false);
   const {
-    isConnected, userId, roomName, globalBoredom, userCount, individuals, error, sendBoredom,
-    vetoAvailable, veto, vetoResult, startVeto, voteVeto
+    isConnected, userId, roomName, globalBoredom, userCount, observerCount, individuals, roster, error, sendBoredom, sendValue,
+    dimensions, dimensionStats, staleness, vetoAvailable, veto, vetoResult, startVeto, voteVeto, withdrawVetoVote,
+    isHost, locked, listed, description, vetoDisabled, vetoRules, vetoCooldown, privacy, histogram, distribution,
+    aggregation, agenda, boredomOverride, sendHostAction, reconnectAttempt, retryAt, hasPendingChanges, reconnectNow
   } = useWebSocket(roomId);
+  const history = useRoomHistory(roomId);
+  const segmentSummary = useAgendaSummary(roomId, { enabled: agenda !== null });
+
+  // The server set our values (resumed session or host reset)
+  useEffect(() => {
+    if (!boredomOverride) return;
+    setMyBoredom(boredomOverride.value);
+    setMyValues(boredomOverride.values);
+  }, [boredomOverride]);
 
   const handleBoredomChange = useCallback((value) => {
     setMyBoredom(value);
     sendBoredom(value);
   }, [sendBoredom]);
 
+  const handleValueChange = useCallback((dimensionId, value) => {
+    setMyValues((current) => ({ ...current, [dimensionId]: value }));
+    sendValue(dimensionId, value);
+  }, [sendValue]);
+
+  const [primary, ...extraDimensions] = dimensions;
+  const announcements = useAnnouncements({ value: globalBoredom, dimension: primary, veto, vetoResult });
+
   const myContribution = userCount > 0 ? 100 / userCount : 100;
 
   // Build segments with live local value for self
@@ -374,10 +909,17 @@ function RoomPage() {
     colorMap[seg.id] = USER_COLORS[index % USER_COLORS.length];
   });
 
+  // The server stopped counting (or is fading) our value until we move the dial
+  const amStale = individuals.some(ind => ind.id === userId && ind.stale);
+
   // Others for the mini-dial grid (excluding self)
   const others = sortedForColors.filter(u => u.id !== userId);
 
+  // Aggregate-only rooms send no one's values - the host gets a roster to manage instead
+  const manageable = roster ? roster.filter(u => u.id !== userId) : others;
+
   const shareUrl = `${window.location.origin}/join/${roomId}`;
+  const exportUrl = `/api/v1/rooms/${roomId}/export`;
   const isGlobal = roomId === 'global';
 
   const copyToClipboard = () => {
@@ -396,11 +938,36 @@ function RoomPage() {
             <p className="room-code-display">Room: {roomId}</p>
           )}
         </div>
-        {!isGlobal && (
-          <button className="share-btn" onClick={() => setShowShare(!showShare)}>
-            Share
-          </button>
-        )}
+        <div className="header-actions">
+          <div className="download-menu">
+            <button className="share-btn" onClick={() => setShowDownload(!showDownload)}>
+              Download session
+            </button>
+            {showDownload && (
+              <div className="download-options">
+                <a href={`${exportUrl}?format=csv${anonymizeExport ? '&anonymize=1' : ''}`} download>
+                  CSV
+                </a>
+                <a href={`${exportUrl}?format=json${anonymizeExport ? '&anonymize=1' : ''}`} download>
+                  JSON
+                </a>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={anonymizeExport}
+                    onChange={(e) => setAnonymizeExport(e.target.checked)}
+                  />
+                  Hide names
+                </label>
+              </div>
+            )}
+          </div>
+          {!isGlobal && (
+            <button className="share-btn" onClick={() => setShowShare(!showShare)}>
+              Share
+            </button>
+          )}
+        </div>
       </header>
 
       {showShare && !isGlobal && (
@@ -417,6 +984,9 @@ function RoomPage() {
               />
             </div>
             <p className="share-code">Room Code: <strong>{roomId}</strong></p>
+            <a className="present-link" href={`/present/${roomId}`} target="_blank" rel="noreferrer">
+              Open presenter view
+            </a>
             <div className="share-url">
               <input type="text" value={shareUrl} readOnly />
               <button onClick={copyToClipboard}>Copy</button>
@@ -428,7 +998,20 @@ function RoomPage() {
         </div>
       )}
 
+      <div className="sr-only" role="status" aria-live="polite">{announcements.status}</div>
+      <div className="sr-only" role="alert" aria-live="assertive">{announcements.alert}</div>
+
+      <ConnectionStatus
+        isConnected={isConnected}
+        retryAt={retryAt}
+        attempt={reconnectAttempt}
+        hasPendingChanges={hasPendingChanges}
+        onRetry={reconnectNow}
+      />
+
       <main className="main-content">
+        <Agenda agenda={agenda} isHost={isHost} onAction={sendHostAction} />
+
         <div className="dials-row">
           <div className="dial-section individual">
             <Dial
@@ -436,10 +1019,15 @@ function RoomPage() {
               onChange={handleBoredomChange}
               size={240}
               interactive={true}
-              label="Your Boredom"
+              label={`Your ${primary.name}`}
               color="dynamic"
+              scale={primary.scale}
             />
-            <p className="dial-hint">Drag to adjust</p>
+            <p className="dial-hint">
+              {amStale
+                ? `Idle - your value is ${staleness.mode === 'exclude' ? 'not counted' : 'fading'}. Move the dial to count again.`
+                : 'Drag to adjust'}
+            </p>
           </div>
 
           <div className="dial-connector">
@@ -456,38 +1044,92 @@ function RoomPage() {
               value={globalBoredom}
               size={280}
               interactive={false}
-              label="Collective Boredom"
+              label={`Collective ${primary.name}`}
               color="#8b5cf6"
-              segments={segments}
+              segments={privacy === 'aggregate' ? null : segments}
+              histogram={privacy === 'aggregate' ? histogram : null}
+              scale={primary.scale}
               userId={userId}
             />
             <div className="user-count-badge">
               {userCount} {userCount === 1 ? 'person' : 'people'}
+              {observerCount > 0 && ` · ${observerCount} watching`}
             </div>
           </div>
         </div>
 
+        <DimensionDials
+          dimensions={extraDimensions}
+          values={myValues}
+          stats={dimensionStats}
+          onChange={handleValueChange}
+        />
+
+        {isHost && (
+          <HostPanel
+            roomName={roomName}
+            locked={locked}
+            agenda={agenda}
+            listed={listed}
+            description={description}
+            vetoDisabled={vetoDisabled}
+            vetoRules={vetoRules}
+            staleness={staleness}
+            privacy={privacy}
+            aggregation={aggregation}
+            veto={veto}
+            participants={manageable.filter(u => !u.isBot)}
+            bots={manageable.filter(u => u.isBot)}
+            onAction={sendHostAction}
+          />
+        )}
+
+        {distribution && (
+          <div className="distribution-section">
+            <h2 className="participants-title">How The Room Feels</h2>
+            <Distribution
+              distribution={distribution}
+              histogram={histogram}
+              aggregation={aggregation}
+              scale={primary.scale}
+            />
+          </div>
+        )}
+
+        <div className="timeline-section">
+          <h2 className="participants-title">Boredom Over Time</h2>
+          <Timeline samples={history.samples} vetoes={history.vetoes} />
+          <SegmentSummary segments={segmentSummary} />
+        </div>
+
         <div className="participants-section">
           <h2 className="participants-title">Everyone's Boredom</h2>
+          {privacy === 'aggregate' ? (
+            <p className="privacy-note">Individual values are hidden in this room</p>
+          ) : (
           <div className="participants-grid">
             <MiniDial
               value={myBoredom}
               label="You"
               isYou={true}
               isBot={false}
+              isStale={amStale}
               userColor={colorMap[userId] || USER_COLORS[0]}
             />
             {others.map((user) => (
               <MiniDial
                 key={user.id}
                 value={user.boredom}
-                label={user.name}
+                label={user.name || (privacy === 'anonymous' ? 'Someone' : 'Anonymous')}
                 isYou={false}
                 isBot={user.isBot}
+                isHost={user.isHost}
+                isStale={user.stale}
                 userColor={colorMap[user.id]}
               />
             ))}
           </div>
+          )}
         </div>
 
         {/* Veto Speaker Section */}
@@ -495,7 +1137,7 @@ function RoomPage() {
           <div className="veto-section veto-available">
             <div className="veto-alert">
               <span className="veto-icon">⚠️</span>
-              <span className="veto-message">Collective boredom exceeds 66%!</span>
+              <span className="veto-message">Collective boredom exceeds {vetoRules.threshold}%!</span>
             </div>
             <button className="btn btn-veto" onClick={startVeto}>
               🗳️ Veto Speaker
@@ -503,24 +1145,45 @@ function RoomPage() {
           </div>
         )}
 
+        {!vetoAvailable && !veto && !vetoResult && vetoCooldown > 0 && globalBoredom >= vetoRules.threshold && (
+          <div className="veto-section veto-available">
+            <div className="veto-alert">
+              <span className="veto-icon">⏳</span>
+              <span className="veto-message">Next veto possible in {vetoCooldown}s</span>
+            </div>
+          </div>
+        )}
+
         {veto && (
           <div className="veto-section veto-active">
             <div className="veto-voting">
               <h3 className="veto-title">🗳️ Veto in Progress!</h3>
               <p className="veto-initiator">{veto.initiator} called for a vote</p>
+              <p className="veto-rules">{describeVetoRules(vetoRules)}</p>
               <div className="veto-progress">
                 <div className="veto-bar">
                   <div
                     className="veto-bar-fill"
-                    style={{ width: `${(veto.votes / veto.needed) * 100}%` }}
+                    style={{ width: `${Math.min(100, (veto.votes / veto.needed) * 100)}%` }}
                   />
                 </div>
                 <span className="veto-count">{veto.votes} / {veto.needed} votes needed</span>
               </div>
               <div className="veto-timer">⏱️ {veto.timeLeft}s remaining</div>
-              <button className="btn btn-vote" onClick={voteVeto}>
-                ✋ Vote to Veto
-              </button>
+              {veto.hasVoted ? (
+                <>
+                  <button className="btn btn-vote" disabled>
+                    ✅ You voted
+                  </button>
+                  <button className="veto-withdraw" onClick={withdrawVetoVote}>
+                    Withdraw my vote
+                  </button>
+                </>
+              ) : (
+                <button className="btn btn-vote" onClick={voteVeto}>
+                  ✋ Vote to Veto
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -561,9 +1224,20 @@ function JoinPage() {
   const { roomId } = useParams();
   const [searchParams] = useSearchParams();
   const [myBoredom, setMyBoredom] = useState(50);
+  const [myValues, setMyValues] = useState({});
   const [name, setName] = useState(searchParams.get('name') || '');
   const [hasJoined, setHasJoined] = useState(false);
-  const { isConnected, userId, roomName, globalBoredom, userCount, error, sendBoredom, sendName } = useWebSocket(roomId, name || undefined);
+  const {
+    isConnected, userId, roomName, globalBoredom, userCount, error, sendBoredom, sendValue, sendName,
+    dimensions, dimensionStats, boredomOverride, reconnectAttempt, retryAt, hasPendingChanges, reconnectNow
+  } = useWebSocket(roomId, name || undefined);
+
+  // The server set our values (resumed session or host reset)
+  useEffect(() => {
+    if (!boredomOverride) return;
+    setMyBoredom(boredomOverride.value);
+    setMyValues(boredomOverride.values);
+  }, [boredomOverride]);
 
   const handleJoin = () => {
     if (name.trim()) {
@@ -577,6 +1251,13 @@ function JoinPage() {
     sendBoredom(value);
   }, [sendBoredom]);
 
+  const handleValueChange = useCallback((dimensionId, value) => {
+    setMyValues((current) => ({ ...current, [dimensionId]: value }));
+    sendValue(dimensionId, value);
+  }, [sendValue]);
+
+  const [primary, ...extraDimensions] = dimensions;
+
   if (!hasJoined) {
     return (
       <div className="app mobile-app">
@@ -617,6 +1298,14 @@ function JoinPage() {
         <p className="user-count-inline">{userCount} {userCount === 1 ? 'person' : 'people'}</p>
       </header>
 
+      <ConnectionStatus
+        isConnected={isConnected}
+        retryAt={retryAt}
+        attempt={reconnectAttempt}
+        hasPendingChanges={hasPendingChanges}
+        onRetry={reconnectNow}
+      />
+
       <main className="mobile-content">
         <div className="mobile-dial-section">
           <Dial
@@ -624,17 +1313,32 @@ function JoinPage() {
             onChange={handleBoredomChange}
             size={260}
             interactive={true}
-            label="Your Boredom"
+            label={`Your ${primary.name}`}
             color="dynamic"
+            scale={primary.scale}
           />
-          <p className="dial-hint">Drag to set your boredom level</p>
+          <p className="dial-hint">Drag to set your {primary.name.toLowerCase()} level</p>
         </div>
 
+        <DimensionDials
+          dimensions={extraDimensions}
+          values={myValues}
+          onChange={handleValueChange}
+          size={200}
+          showCollective={false}
+        />
+
         <div className="mobile-collective">
           <div className="collective-preview">
-            <span className="collective-label">Collective:</span>
+            <span className="collective-label">Collective{extraDimensions.length > 0 ? ` ${primary.name}` : ''}:</span>
             <span className="collective-value">{Math.round(globalBoredom)}</span>
           </div>
+          {extraDimensions.map((dimension) => (
+            <div key={dimension.id} className="collective-preview">
+              <span className="collective-label">{dimension.name}:</span>
+              <span className="collective-value">{dimensionStats[dimension.id]?.collective ?? 50}</span>
+            </div>
+          ))}
         </div>
       </main>
 
@@ -647,6 +1351,171 @@ function JoinPage() {
   );
 }
 
+// Presenter view - projector friendly, watches the room without joining it
+function PresentPage() {
+  const { roomId } = useParams();
+  const {
+    isConnected, roomName, globalBoredom, userCount, individuals, error,
+    vetoAvailable, veto, vetoResult, vetoRules, privacy, histogram, dimensions, dimensionStats, agenda
+  } = useWebSocket(roomId, null, { role: 'observer' });
+  const [primary, ...extraDimensions] = dimensions;
+  const [viewport, setViewport] = useState({ width: window.innerWidth, height: window.innerHeight });
+
+  useEffect(() => {
+    const handleResize = () => setViewport({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      document.documentElement.requestFullscreen?.();
+    }
+  };
+
+  const joinUrl = `${window.location.origin}/join/${roomId}`;
+  const isGlobal = roomId === 'global';
+  const dialSize = Math.round(Math.max(240, Math.min(viewport.width * 0.5, viewport.height * 0.7)));
+  const qrSize = Math.round(Math.max(140, Math.min(viewport.width * 0.22, viewport.height * 0.4)));
+
+  return (
+    <div className="present-page" onDoubleClick={toggleFullscreen}>
+      <header className="present-header">
+        <h1>{roomName || 'Collective Boredom Dial'}</h1>
+        <Agenda agenda={agenda} />
+      </header>
+
+      <main className="present-main">
+        <div className="present-dial">
+          <Dial
+            value={globalBoredom}
+            size={dialSize}
+            interactive={false}
+            label={`Collective ${primary.name}`}
+            color="#8b5cf6"
+            segments={privacy === 'aggregate' ? null : individuals}
+            histogram={privacy === 'aggregate' ? histogram : null}
+            scale={primary.scale}
+          />
+          <div className="present-count">
+            {userCount} {userCount === 1 ? 'person' : 'people'}
+          </div>
+          {extraDimensions.length > 0 && (
+            <div className="present-dimensions">
+              {extraDimensions.map((dimension) => (
+                <span key={dimension.id}>
+                  {dimension.name} <strong>{dimensionStats[dimension.id]?.collective ?? 50}</strong>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {!isGlobal && (
+          <aside className="present-join">
+            <div className="qr-container">
+              <QRCodeSVG
+                value={joinUrl}
+                size={qrSize}
+                bgColor="#1e1e2e"
+                fgColor="#ffffff"
+                level="M"
+              />
+            </div>
+            <p className="present-join-label">Scan to join</p>
+            <p className="present-code">{roomId}</p>
+          </aside>
+        )}
+      </main>
+
+      {veto && (
+        <div className="present-veto veto-active">
+          <span>🗳️ Veto in progress — {veto.votes} / {veto.needed} votes</span>
+          <span className="present-veto-timer">{veto.timeLeft}s</span>
+        </div>
+      )}
+
+      {!veto && vetoResult && (
+        <div className={`present-veto ${vetoResult.passed ? 'veto-passed' : 'veto-failed'}`}>
+          {vetoResult.passed ? '🚫 Speaker Vetoed!' : '✅ Veto Failed — the speaker continues'}
+        </div>
+      )}
+
+      {!veto && !vetoResult && vetoAvailable && (
+        <div className="present-veto veto-available">
+          ⚠️ Collective boredom exceeds {vetoRules.threshold}%
+        </div>
+      )}
+
+      <footer className="present-footer">
+        <p className={`status-message ${error ? 'error' : ''}`}>
+          {error || (isConnected ? 'Live' : 'Connecting...')}
+        </p>
+      </footer>
+    </div>
+  );
+}
+
+// Embeddable collective dial for event sites and slide decks (see public/embed.js).
+// Options: ?size=120-600 &theme=dark|light|transparent &count=0 &join=1
+const EMBED_THEMES = ['dark', 'light', 'transparent'];
+
+function EmbedPage() {
+  const { roomId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { stats, status } = useRoomEvents(roomId);
+
+  // Keep in sync with public/embed.js!
+  const size = Math.max(120, Math.min(600, parseInt(searchParams.get('size'), 10) || 240));
+  const theme = EMBED_THEMES.includes(searchParams.get('theme')) ? searchParams.get('theme') : 'dark';
+  const showCount = searchParams.get('count') !== '0';
+  const showJoin = searchParams.get('join') === '1';
+
+  // The page background belongs to the embedding site
+  useEffect(() => {
+    document.body.classList.add('embed-body');
+    return () => document.body.classList.remove('embed-body');
+  }, []);
+
+  const [primary] = stats?.dimensions || DEFAULT_DIMENSIONS;
+  const aggregate = stats?.privacy === 'aggregate';
+  const joinUrl = roomId === 'global'
+    ? `${window.location.origin}/room/global`
+    : `${window.location.origin}/join/${roomId}`;
+
+  return (
+    <div className={`embed-page theme-${theme}`}>
+      <Dial
+        value={stats?.collective ?? 50}
+        size={size}
+        interactive={false}
+        label={`Collective ${primary.name}`}
+        color="#8b5cf6"
+        segments={aggregate ? null : stats?.individuals}
+        histogram={aggregate ? stats?.histogram : null}
+        scale={primary.scale}
+      />
+      {showCount && stats && (
+        <div className="embed-count">
+          {stats.count} {stats.count === 1 ? 'person' : 'people'}
+        </div>
+      )}
+      {showJoin && status !== 'closed' && (
+        <a className="embed-join" href={joinUrl} target="_blank" rel="noreferrer">
+          Join this room
+        </a>
+      )}
+      {status !== 'live' && (
+        <div className="embed-status">
+          {status === 'closed' ? 'This room is not available' : 'Connecting...'}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function App() {
   return (
     <BrowserRouter>
@@ -654,6 +1523,8 @@ function App() {
         <Route path="/" element={<HomePage />} />
         <Route path="/room/:roomId" element={<RoomPage />} />
         <Route path="/join/:roomId" element={<JoinPage />} />
+        <Route path="/present/:roomId" element={<PresentPage />} />
+        <Route path="/embed/:roomId" element={<EmbedPage />} />
       </Routes>
     </BrowserRouter>
   );
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const segmentLabel = (segment) => (segment.speaker ? `${segment.title} — ${segment.speaker}` : segment.title);
+
+// Per-segment average, peak and vetoes once the session has some history
+export const SegmentSummary = ({ segments = [] }) => {
+  const started = segments.filter(segment => segment.startedAt !== null);
+  if (started.length === 0) return null;
+
+  return (
+    <table className="segment-summary">
+      <thead>
+        <tr>
+          <th scope="col">Segment</th>
+          <th scope="col">Time</th>
+          <th scope="col">Average</th>
+          <th scope="col">Peak</th>
+          <th scope="col">Vetoes</th>
+        </tr>
+      </thead>
+      <tbody>
+        {started.map((segment) => (
+          <tr key={segment.id}>
+            <td>{segmentLabel(segment)}</td>
+            <td>
+              {formatDuration(segment.seconds)}
+              {segment.minutes && <span className="segment-planned"> / {segment.minutes}:00</span>}
+            </td>
+            <td>{segment.average ?? '—'}</td>
+            <td>{segment.peak ?? '—'}</td>
+            <td>{segment.vetoes > 0 ? `${segment.vetoesPassed}/${segment.vetoes} passed` : '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// What's on now, what's next, and the host's controls to move along
+const Agenda = ({ agenda, isHost = false, onAction }) => {
+  const [now, setNow] = useState(Date.now());
+  const running = agenda && agenda.current !== -1 && agenda.startedAt;
+
+  // Tick the elapsed time only while a segment is running
+  useEffect(() => {
+    if (!running) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  if (!agenda) return null;
+
+  const { segments, current } = agenda;
+  const segment = segments[current] || null;
+  const next = segments[current + 1] || null;
+  const elapsed = running ? Math.max(0, Math.floor((now - agenda.startedAt) / 1000)) : 0;
+  const overtime = segment?.minutes && elapsed > segment.minutes * 60;
+
+  return (
+    <div className="agenda">
+      <div className="agenda-now">
+        {segment ? (
+          <>
+            <span className="agenda-label">Now</span>
+            <strong>{segmentLabel(segment)}</strong>
+            <span className={`agenda-clock ${overtime ? 'is-overtime' : ''}`}>
+              {formatDuration(elapsed)}
+              {segment.minutes && ` / ${segment.minutes}:00`}
+            </span>
+          </>
+        ) : (
+          <span className="agenda-label">Agenda not running</span>
+        )}
+      </div>
+      {next && (
+        <div className="agenda-next">
+          <span className="agenda-label">Next</span> {segmentLabel(next)}
+        </div>
+      )}
+      {agenda.autoAdvance && segment && (
+        <p className="agenda-hint">A passed veto skips to the next segment</p>
+      )}
+
+      {isHost && (
+        <div className="host-row">
+          <button
+            className="btn btn-secondary"
+            onClick={() => onAction('goToSegment', { index: current - 1 })}
+            disabled={current <= 0}
+          >
+            ← Previous
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => onAction('goToSegment', { index: current + 1 })}
+          >
+            {current === -1 ? 'Start agenda' : next ? 'Next →' : 'End agenda'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Agenda;
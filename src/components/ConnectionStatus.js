@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+
+// Banner shown while the socket is down and a reconnect is scheduled
+const ConnectionStatus = ({
+  isConnected = false,
+  retryAt = null,
+  attempt = 0,
+  hasPendingChanges = false,
+  onRetry
+}) => {
+  const [now, setNow] = useState(Date.now());
+  const offline = !isConnected && retryAt !== null;
+
+  // Tick the countdown only while it is on screen
+  useEffect(() => {
+    if (!offline) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [offline, retryAt]);
+
+  if (!offline) return null;
+
+  const secondsLeft = Math.max(0, Math.ceil((retryAt - now) / 1000));
+
+  return (
+    <div className="connection-banner" role="status">
+      <div className="connection-banner-text">
+        <strong>Offline</strong> — your value will sync when you reconnect
+        {hasPendingChanges && <span className="connection-pending"> · changes waiting</span>}
+      </div>
+      <div className="connection-banner-retry">
+        <span>
+          {secondsLeft > 0 ? `Retrying in ${secondsLeft}s (attempt ${attempt})` : 'Reconnecting...'}
+        </span>
+        <button className="connection-retry-btn" onClick={onRetry} disabled={secondsLeft === 0}>
+          Retry now
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConnectionStatus;
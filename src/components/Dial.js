@@ -1,4 +1,4 @@
-import React, { useRef, useCallback, useEffect, useState } from 'react';
+import React, { useRef, useEffect } from 'react';
 
 // Distinct colors for each user
 const USER_COLORS = [
@@ -14,6 +14,28 @@ const USER_COLORS = [
   '#c084fc', // violet
 ];
 
+// Same scale as the boredom preset in server/dimensions.js - keep in sync!
+// Bands split 0-100 into labelled, colored ranges; ticks are marks on the track.
+export const BOREDOM_SCALE = {
+  bands: [
+    { upTo: 15, label: 'Engaged', color: '#22c55e' },
+    { upTo: 30, label: 'Content', color: '#22c55e' },
+    { upTo: 50, label: 'Neutral', color: '#84cc16' },
+    { upTo: 70, label: 'Restless', color: '#eab308' },
+    { upTo: 85, label: 'Bored', color: '#f97316' },
+    { upTo: 100, label: 'Very Bored', color: '#ef4444' }
+  ],
+  ticks: [0, 25, 50, 75, 100]
+};
+
+// Wheel deltas come in pixels, lines or pages depending on the device
+const WHEEL_PIXELS_PER_STEP = 20;
+const WHEEL_LINE_PIXELS = 20;
+const WHEEL_PAGE_PIXELS = 400;
+
+// The band a value falls in - the first one it is below, else the last
+export const bandFor = (bands, val) => bands.find(band => val < band.upTo) || bands[bands.length - 1];
+
 const Dial = ({
   value = 50,
   onChange,
@@ -23,10 +45,12 @@ const Dial = ({
   color = '#6366f1',
   trackColor = '#1e1e2e',
   segments = null,
+  histogram = null,
+  scale = BOREDOM_SCALE,
+  step = 1,
   userId = null
 }) => {
   const svgRef = useRef(null);
-  const [isDragging, setIsDragging] = useState(false);
 
   const center = size / 2;
   const radius = size * 0.38;
@@ -62,13 +86,13 @@ const Dial = ({
     return `M ${start.x} ${start.y} A ${r} ${r} 0 ${largeArc} 1 ${end.x} ${end.y}`;
   };
 
-  const handleInteraction = useCallback((clientX, clientY) => {
-    if (!interactive || !onChange) return;
+  const clamp = (val) => Math.max(0, Math.min(100, val));
 
-    const svg = svgRef.current;
-    if (!svg) return;
+  // Round to the nearest multiple of `step`
+  const snap = (val) => clamp(Math.round(val / step) * step);
 
-    const rect = svg.getBoundingClientRect();
+  const valueAtPoint = (clientX, clientY) => {
+    const rect = svgRef.current.getBoundingClientRect();
     const scaleX = size / rect.width;
     const scaleY = size / rect.height;
     const x = (clientX - rect.left) * scaleX - center;
@@ -79,101 +103,142 @@ const Dial = ({
     if (angle > 180) angle = angle - 360;
     if (angle < -180) angle = angle + 360;
 
-    if (angle > END_ANGLE) angle = END_ANGLE;
-    if (angle < START_ANGLE) angle = START_ANGLE;
+    return snap(angleToValue(angle));
+  };
 
-    const newValue = angleToValue(angle);
-    onChange(newValue);
-  }, [interactive, onChange, center, size]);
+  // Latest value, including what we sent but the parent hasn't rendered yet
+  const valueRef = useRef(value);
+  valueRef.current = value;
 
-  const handleMouseDown = (e) => {
-    if (!interactive) return;
-    e.preventDefault();
-    setIsDragging(true);
-    handleInteraction(e.clientX, e.clientY);
+  const change = (next) => {
+    if (next === valueRef.current) return;
+    valueRef.current = next;
+    onChange(next);
   };
 
-  const handleMouseMove = useCallback((e) => {
-    if (!isDragging) return;
-    handleInteraction(e.clientX, e.clientY);
-  }, [isDragging, handleInteraction]);
+  // Only the pointer that started a drag moves the dial - a second finger
+  // landing on it is ignored until the first one lifts
+  const activePointerRef = useRef(null);
 
-  const handleMouseUp = useCallback(() => {
-    setIsDragging(false);
-  }, []);
+  const handlePointerDown = (e) => {
+    if (!interactive || !onChange || activePointerRef.current !== null) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    activePointerRef.current = e.pointerId;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    // Focused, the dial keeps taking keys and the wheel after the drag
+    e.currentTarget.focus?.({ preventScroll: true });
+    change(valueAtPoint(e.clientX, e.clientY));
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.pointerId !== activePointerRef.current) return;
+    change(valueAtPoint(e.clientX, e.clientY));
+  };
+
+  const handlePointerEnd = (e) => {
+    if (e.pointerId !== activePointerRef.current) return;
+    activePointerRef.current = null;
+  };
+
+  // Slider keys: arrows move one step, Page Up/Down ten, Home/End jump to the ends
+  const handleKeyDown = (e) => {
+    if (!interactive || !onChange) return;
+
+    const bigStep = Math.max(10, step);
+    const keySteps = {
+      ArrowUp: step,
+      ArrowRight: step,
+      ArrowDown: -step,
+      ArrowLeft: -step,
+      PageUp: bigStep,
+      PageDown: -bigStep
+    };
+
+    let next;
+    if (e.key in keySteps) next = valueRef.current + keySteps[e.key];
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = 100;
+    else return;
 
-  const handleTouchStart = (e) => {
-    if (!interactive) return;
     e.preventDefault();
-    setIsDragging(true);
-    const touch = e.touches[0];
-    handleInteraction(touch.clientX, touch.clientY);
+    change(snap(next));
   };
 
-  const handleTouchMove = useCallback((e) => {
-    if (!isDragging) return;
-    const touch = e.touches[0];
-    handleInteraction(touch.clientX, touch.clientY);
-  }, [isDragging, handleInteraction]);
+  // Wheel and trackpad scrolling nudge the value while the dial is focused or
+  // being dragged - otherwise the page scrolls past it as usual. Small
+  // trackpad deltas add up until they are worth a whole step.
+  const wheelCarryRef = useRef(0);
+  const handleWheelRef = useRef(null);
+  handleWheelRef.current = (e) => {
+    if (!onChange) return;
+    const engaged = document.activeElement === svgRef.current || activePointerRef.current !== null;
+    if (!engaged) return;
+    e.preventDefault();
+
+    const pixels = e.deltaMode === 1 ? e.deltaY * WHEEL_LINE_PIXELS
+      : e.deltaMode === 2 ? e.deltaY * WHEEL_PAGE_PIXELS
+      : e.deltaY;
+
+    // Scrolling up turns the dial up
+    wheelCarryRef.current -= pixels / WHEEL_PIXELS_PER_STEP;
+    const steps = Math.trunc(wheelCarryRef.current);
+    if (steps === 0) return;
+    wheelCarryRef.current -= steps;
+    change(snap(valueRef.current + steps * step));
+  };
 
+  // React's wheel listener is passive, so attach our own to stop the page scrolling
   useEffect(() => {
-    if (isDragging) {
-      window.addEventListener('mousemove', handleMouseMove);
-      window.addEventListener('mouseup', handleMouseUp);
-      window.addEventListener('touchmove', handleTouchMove);
-      window.addEventListener('touchend', handleMouseUp);
-
-      return () => {
-        window.removeEventListener('mousemove', handleMouseMove);
-        window.removeEventListener('mouseup', handleMouseUp);
-        window.removeEventListener('touchmove', handleTouchMove);
-        window.removeEventListener('touchend', handleMouseUp);
-      };
-    }
-  }, [isDragging, handleMouseMove, handleMouseUp, handleTouchMove]);
+    const svg = svgRef.current;
+    if (!svg || !interactive) return;
+
+    const handleWheel = (e) => handleWheelRef.current(e);
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [interactive]);
 
   const currentAngle = valueToAngle(value);
   const knobPosition = getPointOnCircle(currentAngle);
 
-  const getBoredomLabel = (val) => {
-    if (val < 15) return 'Engaged';
-    if (val < 30) return 'Content';
-    if (val < 50) return 'Neutral';
-    if (val < 70) return 'Restless';
-    if (val < 85) return 'Bored';
-    return 'Very Bored';
-  };
+  const getBandLabel = (val) => bandFor(scale.bands, val).label;
 
-  const getBoredomColor = (val) => {
-    if (val < 30) return '#22c55e';
-    if (val < 50) return '#84cc16';
-    if (val < 70) return '#eab308';
-    if (val < 85) return '#f97316';
-    return '#ef4444';
-  };
+  const getBandColor = (val) => bandFor(scale.bands, val).color;
 
-  const dynamicColor = color === 'dynamic' ? getBoredomColor(value) : color;
+  const dynamicColor = color === 'dynamic' ? getBandColor(value) : color;
+
+  // Aggregate-only rooms: one segment per histogram bucket, weighted by
+  // how many people are in it and colored by the bucket's band
+  const histogramSegments = () => {
+    const bucketWidth = 100 / histogram.length;
+    return histogram
+      .map((count, index) => {
+        const middle = bucketWidth * (index + 0.5);
+        return { id: `bucket-${index}`, boredom: middle * count, count, color: getBandColor(middle) };
+      })
+      .filter(bucket => bucket.count > 0);
+  };
 
   // Render segmented arc - fills to average value, segments show contribution
   const renderSegments = () => {
-    if (!segments || segments.length === 0) return null;
+    const parts = segments && segments.length > 0 ? segments : histogram ? histogramSegments() : [];
+    if (parts.length === 0) return null;
 
-    const totalBoredom = segments.reduce((sum, s) => sum + s.boredom, 0);
+    const totalBoredom = parts.reduce((sum, s) => sum + s.boredom, 0);
     if (totalBoredom === 0) return null;
 
-    // Calculate average and the arc degrees it fills
-    const average = totalBoredom / segments.length;
-    const filledDegrees = (average / 100) * ARC_DEGREES;
+    // Fill to the collective value - the room may use a median or trimmed mean
+    const filledDegrees = (value / 100) * ARC_DEGREES;
 
     const segmentElements = [];
     let currentAngle = START_ANGLE;
 
-    // Sort: "You" first, then others by ID
-    const sorted = [...segments].sort((a, b) => {
+    // Sort: "You" first, then others by ID (histogram buckets stay in order)
+    const sorted = segments && segments.length > 0 ? [...parts].sort((a, b) => {
       if (a.id === userId) return -1;
       if (b.id === userId) return 1;
       return a.id.localeCompare(b.id);
-    });
+    }) : parts;
 
     sorted.forEach((segment, index) => {
       // Each segment's size is proportional to their boredom within the filled area
@@ -182,7 +247,7 @@ const Dial = ({
       const endAngle = currentAngle + arcDegrees;
 
       if (arcDegrees > 0.3) {
-        const segmentColor = USER_COLORS[index % USER_COLORS.length];
+        const segmentColor = segment.color || USER_COLORS[index % USER_COLORS.length];
         const isYou = segment.id === userId;
 
         segmentElements.push(
@@ -224,7 +289,24 @@ const Dial = ({
     return segmentElements;
   };
 
-  const centerColor = segments ? getBoredomColor(value) : dynamicColor;
+  const showSegments = Boolean(segments || histogram);
+  const centerColor = showSegments ? getBandColor(value) : dynamicColor;
+  const valueText = `${Math.round(value)}, ${getBandLabel(value)}`;
+
+  // Interactive dials are sliders; read-only ones are announced as a single image
+  const a11yProps = interactive ? {
+    role: 'slider',
+    tabIndex: 0,
+    'aria-label': label,
+    'aria-valuemin': 0,
+    'aria-valuemax': 100,
+    'aria-valuenow': Math.round(value),
+    'aria-valuetext': valueText,
+    onKeyDown: handleKeyDown
+  } : {
+    role: 'img',
+    'aria-label': `${label}: ${valueText}`
+  };
 
   return (
     <div className="dial-container">
@@ -233,9 +315,14 @@ const Dial = ({
         width={size}
         height={size}
         viewBox={`0 0 ${size} ${size}`}
+        className={interactive ? 'dial-interactive' : undefined}
         style={{ cursor: interactive ? 'pointer' : 'default' }}
-        onMouseDown={handleMouseDown}
-        onTouchStart={handleTouchStart}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerEnd}
+        onPointerCancel={handlePointerEnd}
+        onLostPointerCapture={handlePointerEnd}
+        {...a11yProps}
       >
         {/* Background track */}
         <path
@@ -247,7 +334,7 @@ const Dial = ({
         />
 
         {/* Segmented arc OR single value arc */}
-        {segments ? (
+        {showSegments ? (
           renderSegments()
         ) : (
           value > 0 && (
@@ -265,7 +352,7 @@ const Dial = ({
         )}
 
         {/* Tick marks */}
-        {[0, 25, 50, 75, 100].map((tick) => {
+        {(scale.ticks || []).map((tick) => {
           const tickAngle = valueToAngle(tick);
           const inner = getPointOnCircle(tickAngle, radius - strokeWidth / 2 - 8);
           const outer = getPointOnCircle(tickAngle, radius - strokeWidth / 2 - 2);
@@ -319,11 +406,11 @@ const Dial = ({
           fontWeight="600"
           style={{ userSelect: 'none' }}
         >
-          {getBoredomLabel(value)}
+          {getBandLabel(value)}
         </text>
       </svg>
 
-      <div className="dial-label">{label}</div>
+      <div className="dial-label" aria-hidden="true">{label}</div>
     </div>
   );
 };
@@ -0,0 +1,134 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import Dial from './Dial';
+
+// jsdom has no PointerEvent - a MouseEvent with a pointer id and type is enough
+class FakePointerEvent extends MouseEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.pointerId = init.pointerId ?? 1;
+    this.pointerType = init.pointerType ?? 'mouse';
+  }
+}
+
+const SIZE = 200;
+
+// Points on a 200px dial: right of center is 83, left of center is 17
+const RIGHT = { clientX: 200, clientY: 100 };
+const LEFT = { clientX: 0, clientY: 100 };
+
+beforeAll(() => {
+  window.PointerEvent = FakePointerEvent;
+});
+
+const renderDial = (props = {}) => {
+  const onChange = jest.fn();
+  render(<Dial value={50} size={SIZE} label="Your Boredom" onChange={onChange} {...props} />);
+  const slider = screen.getByRole('slider');
+  slider.getBoundingClientRect = () => ({ left: 0, top: 0, width: SIZE, height: SIZE, right: SIZE, bottom: SIZE });
+  slider.setPointerCapture = jest.fn();
+  return { onChange, slider };
+};
+
+test('exposes the dial as a labelled slider', () => {
+  const { slider } = renderDial();
+  expect(slider).toHaveAttribute('aria-label', 'Your Boredom');
+  expect(slider).toHaveAttribute('aria-valuenow', '50');
+  expect(slider).toHaveAttribute('aria-valuetext', '50, Restless');
+  expect(slider).toHaveAttribute('tabindex', '0');
+});
+
+test('read-only dials are not sliders', () => {
+  render(<Dial value={72} interactive={false} label="Collective Boredom" />);
+  expect(screen.queryByRole('slider')).not.toBeInTheDocument();
+  expect(screen.getByRole('img', { name: 'Collective Boredom: 72, Bored' })).toBeInTheDocument();
+});
+
+test('keyboard keys step, page and jump to the ends', () => {
+  const { onChange, slider } = renderDial();
+
+  fireEvent.keyDown(slider, { key: 'ArrowUp' });
+  expect(onChange).toHaveBeenLastCalledWith(51);
+
+  fireEvent.keyDown(slider, { key: 'PageDown' });
+  expect(onChange).toHaveBeenLastCalledWith(41);
+
+  fireEvent.keyDown(slider, { key: 'Home' });
+  expect(onChange).toHaveBeenLastCalledWith(0);
+
+  fireEvent.keyDown(slider, { key: 'End' });
+  expect(onChange).toHaveBeenLastCalledWith(100);
+});
+
+test('dragging follows the pointer that started it', () => {
+  const { onChange, slider } = renderDial();
+
+  fireEvent.pointerDown(slider, { pointerId: 1, button: 0, ...RIGHT });
+  expect(slider.setPointerCapture).toHaveBeenCalledWith(1);
+  expect(onChange).toHaveBeenLastCalledWith(83);
+
+  fireEvent.pointerMove(slider, { pointerId: 1, ...LEFT });
+  expect(onChange).toHaveBeenLastCalledWith(17);
+
+  fireEvent.pointerUp(slider, { pointerId: 1, ...LEFT });
+  onChange.mockClear();
+  fireEvent.pointerMove(slider, { pointerId: 1, ...RIGHT });
+  expect(onChange).not.toHaveBeenCalled();
+});
+
+test('a second finger cannot take over a drag', () => {
+  const { onChange, slider } = renderDial();
+
+  fireEvent.pointerDown(slider, { pointerId: 1, pointerType: 'touch', ...RIGHT });
+  fireEvent.pointerDown(slider, { pointerId: 2, pointerType: 'touch', ...LEFT });
+  fireEvent.pointerMove(slider, { pointerId: 2, pointerType: 'touch', ...LEFT });
+  expect(onChange).toHaveBeenCalledTimes(1);
+  expect(onChange).toHaveBeenLastCalledWith(83);
+
+  // Once the first finger lifts, the dial is free again
+  fireEvent.pointerCancel(slider, { pointerId: 1, pointerType: 'touch' });
+  fireEvent.pointerDown(slider, { pointerId: 2, pointerType: 'touch', ...LEFT });
+  expect(onChange).toHaveBeenLastCalledWith(17);
+});
+
+test('ignores secondary mouse buttons', () => {
+  const { onChange, slider } = renderDial();
+  fireEvent.pointerDown(slider, { pointerId: 1, button: 2, ...RIGHT });
+  expect(onChange).not.toHaveBeenCalled();
+});
+
+test('the wheel nudges the value and small trackpad deltas add up', () => {
+  const { onChange, slider } = renderDial();
+  slider.focus();
+
+  fireEvent.wheel(slider, { deltaY: -100, deltaMode: 0 });
+  expect(onChange).toHaveBeenLastCalledWith(55);
+
+  onChange.mockClear();
+  fireEvent.wheel(slider, { deltaY: 8, deltaMode: 0 });
+  fireEvent.wheel(slider, { deltaY: 8, deltaMode: 0 });
+  expect(onChange).not.toHaveBeenCalled();
+  fireEvent.wheel(slider, { deltaY: 8, deltaMode: 0 });
+  expect(onChange).toHaveBeenLastCalledWith(54);
+});
+
+test('the wheel scrolls the page past a dial that is not focused', () => {
+  const { onChange, slider } = renderDial();
+
+  const notCancelled = fireEvent.wheel(slider, { deltaY: -100, deltaMode: 0 });
+  expect(notCancelled).toBe(true);
+  expect(onChange).not.toHaveBeenCalled();
+});
+
+test('snaps dragging, keys and wheel to the step', () => {
+  const { onChange, slider } = renderDial({ step: 5 });
+
+  fireEvent.pointerDown(slider, { pointerId: 1, button: 0, ...RIGHT });
+  expect(onChange).toHaveBeenLastCalledWith(85);
+  fireEvent.pointerUp(slider, { pointerId: 1 });
+
+  fireEvent.keyDown(slider, { key: 'ArrowDown' });
+  expect(onChange).toHaveBeenLastCalledWith(80);
+
+  fireEvent.wheel(slider, { deltaY: -20, deltaMode: 0 });
+  expect(onChange).toHaveBeenLastCalledWith(85);
+});
@@ -0,0 +1,44 @@
+import React from 'react';
+import Dial from './Dial';
+
+// A room's extra dimensions: your dial for each, with the room's value beside it
+const DimensionDials = ({
+  dimensions = [],
+  values = {},
+  stats = {},
+  onChange,
+  size = 160,
+  showCollective = true
+}) => {
+  if (dimensions.length === 0) return null;
+
+  return (
+    <div className="dimension-dials">
+      {dimensions.map((dimension) => (
+        <div key={dimension.id} className="dimension-row">
+          <Dial
+            value={values[dimension.id] ?? 50}
+            onChange={(value) => onChange(dimension.id, value)}
+            size={size}
+            interactive={true}
+            label={`Your ${dimension.name}`}
+            color="dynamic"
+            scale={dimension.scale}
+          />
+          {showCollective && (
+            <Dial
+              value={stats[dimension.id]?.collective ?? 50}
+              size={size}
+              interactive={false}
+              label={`Collective ${dimension.name}`}
+              color="dynamic"
+              scale={dimension.scale}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DimensionDials;
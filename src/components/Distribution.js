@@ -0,0 +1,74 @@
+import React from 'react';
+import { BOREDOM_SCALE, bandFor } from './Dial';
+
+// Standard deviation cut-offs for the agreement indicator (values are 0-100)
+const CONSENSUS_STD = 12;
+const POLARIZED_STD = 30;
+
+const AGREEMENT = {
+  consensus: { label: 'Consensus', hint: 'Most people feel about the same' },
+  mixed: { label: 'Mixed', hint: 'Opinions are spread out' },
+  polarized: { label: 'Polarized', hint: 'The room is split between extremes' }
+};
+
+const agreementLevel = (distribution) => {
+  if (distribution.std <= CONSENSUS_STD) return 'consensus';
+  if (distribution.std >= POLARIZED_STD) return 'polarized';
+  return 'mixed';
+};
+
+// Bar chart of how many people sit in each band of the scale
+const Histogram = ({ counts, bands = BOREDOM_SCALE.bands }) => {
+  if (!counts || counts.length === 0) return null;
+  const max = Math.max(1, ...counts);
+  const width = 100 / counts.length;
+
+  return (
+    <div className="histogram">
+      {counts.map((count, index) => (
+        <div key={index} className="histogram-bucket">
+          <div className="histogram-bar-track">
+            <div
+              className="histogram-bar"
+              style={{
+                height: `${(count / max) * 100}%`,
+                backgroundColor: bandFor(bands, width * (index + 0.5)).color
+              }}
+            />
+          </div>
+          <span className="histogram-count">{count}</span>
+          <span className="histogram-label">{Math.round(width * index)}–{Math.round(width * (index + 1))}%</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Histogram strip with summary numbers and a consensus vs. polarized indicator
+const Distribution = ({ distribution = null, histogram = null, aggregation = 'mean', scale = BOREDOM_SCALE }) => {
+  if (!distribution) return null;
+  const level = agreementLevel(distribution);
+
+  return (
+    <div className="distribution">
+      <div className="distribution-header">
+        <span className={`agreement agreement-${level}`} title={AGREEMENT[level].hint}>
+          {AGREEMENT[level].label}
+        </span>
+        <span className="distribution-summary">
+          {'median' in distribution
+            ? `median ${Math.round(distribution.median)} · spread ±${Math.round(distribution.std)} · range ${Math.round(distribution.min)}–${Math.round(distribution.max)}`
+            : `spread ±${Math.round(distribution.std)}`}
+        </span>
+      </div>
+      <Histogram counts={histogram} bands={scale.bands} />
+      {aggregation !== 'mean' && (
+        <p className="distribution-method">
+          Collective value uses the {aggregation === 'median' ? 'median' : 'trimmed mean'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default Distribution;
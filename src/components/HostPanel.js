@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Agenda editor text: one segment per line, "Title | Speaker | minutes"
+const agendaToText = (agenda) => (agenda?.segments || [])
+  .map(s => [s.title, s.speaker, s.minutes].filter(Boolean).join(' | '))
+  .join('\n');
+
+const textToSegments = (text) => text.split('\n')
+  .map(line => line.split('|').map(part => part.trim()))
+  .filter(([title]) => title)
+  .map(([title, speaker = '', minutes = '']) => {
+    // "Title | 10" leaves out the speaker
+    if (!minutes && /^\d+$/.test(speaker)) return { title, speaker: '', minutes: Number(speaker) };
+    return { title, speaker, minutes: Number(minutes) || null };
+  });
+
+// A form's local copy of a setting that follows changes coming back from the
+// server. `toDraft` turns the server's value into what the form edits.
+const useDraft = (value, toDraft = (v) => v) => {
+  const [draft, setDraft] = useState(() => toDraft(value));
+  const toDraftRef = useRef(toDraft);
+  toDraftRef.current = toDraft;
+
+  useEffect(() => {
+    setDraft(toDraftRef.current(value));
+  }, [value]);
+
+  return [draft, setDraft];
+};
+
+const orEmpty = (value) => value || {};
+
+// The agenda editor's text. It follows the segments coming back from the
+// server (not the running segment or its clock), but never over edits the
+// host hasn't applied yet.
+const useAgendaDraft = (agenda) => {
+  const saved = agendaToText(agenda);
+  const [text, setText] = useState(saved);
+  const savedRef = useRef(saved);
+
+  useEffect(() => {
+    const previous = savedRef.current;
+    savedRef.current = saved;
+    setText((current) => {
+      const draft = agendaToText({ segments: textToSegments(current) });
+      return draft === previous || draft === saved ? saved : current;
+    });
+  }, [saved]);
+
+  return [text, setText];
+};
+
+// The numeric fields of a settings form as numbers, leaving out any left blank
+const withNumbers = (draft, keys) => {
+  const settings = { ...draft };
+  keys.forEach(key => {
+    if (settings[key] === '' || settings[key] === null || settings[key] === undefined) delete settings[key];
+    else settings[key] = Number(settings[key]);
+  });
+  return settings;
+};
+
+// Moderation controls shown only to the room host
+const HostPanel = ({
+  roomName = '',
+  locked = false,
+  agenda = null,
+  listed = false,
+  description = '',
+  vetoDisabled = false,
+  vetoRules = null,
+  privacy = 'visible',
+  aggregation = 'mean',
+  staleness = null,
+  veto = null,
+  participants = [],
+  bots = [],
+  onAction
+}) => {
+  const [name, setName] = useDraft(roomName);
+  const [rules, setRules] = useDraft(vetoRules, orEmpty);
+  const [idle, setIdle] = useDraft(staleness, orEmpty);
+  const [listedDraft, setListedDraft] = useDraft(listed);
+  const [descriptionDraft, setDescriptionDraft] = useDraft(description);
+  const [agendaText, setAgendaText] = useAgendaDraft(agenda);
+  const [autoAdvance, setAutoAdvance] = useDraft(agenda?.autoAdvance || false);
+  const [personalities, setPersonalities] = useState([]);
+  const [personality, setPersonality] = useState('');
+
+  // Bot personalities the server knows about
+  useEffect(() => {
+    let cancelled = false;
+    fetch('/api/v1/bots')
+      .then(res => (res.ok ? res.json() : { personalities: [] }))
+      .then(data => {
+        if (cancelled) return;
+        setPersonalities(data.personalities || []);
+        setPersonality(data.personalities?.[0]?.id || '');
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  const updateRule = (key, value) => setRules((current) => ({ ...current, [key]: value }));
+
+  const updateIdle = (key, value) => setIdle((current) => ({ ...current, [key]: value }));
+
+  const handleAgenda = (e) => {
+    e.preventDefault();
+    onAction('setAgenda', { segments: textToSegments(agendaText), autoAdvance });
+  };
+
+  const handleListing = (e) => {
+    e.preventDefault();
+    onAction('setListing', { public: listedDraft, description: descriptionDraft });
+  };
+
+  const handleIdle = (e) => {
+    e.preventDefault();
+    onAction('setStaleness', { staleness: withNumbers(idle, ['idleSeconds', 'halfLife']) });
+  };
+
+  const handleRules = (e) => {
+    e.preventDefault();
+    onAction('setVetoRules', { rules: withNumbers(rules, ['threshold', 'duration', 'quorum', 'cooldown']) });
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (name.trim() && name.trim() !== roomName) {
+      onAction('renameRoom', { name: name.trim() });
+    }
+  };
+
+  return (
+    <div className="host-panel">
+      <h2 className="participants-title">Host Controls</h2>
+
+      <form className="host-row" onSubmit={handleRename}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value.slice(0, 60))}
+          className="input-field"
+          placeholder="Room name"
+        />
+        <button type="submit" className="btn btn-secondary">Rename</button>
+      </form>
+
+      <div className="host-row">
+        <button className="btn btn-secondary" onClick={() => onAction('lock', { locked: !locked })}>
+          {locked ? '🔓 Unlock room' : '🔒 Lock room'}
+        </button>
+        <button className="btn btn-secondary" onClick={() => onAction('resetDials')}>
+          ↺ Reset all dials
+        </button>
+        <button className="btn btn-secondary" onClick={() => onAction('disableVeto', { disabled: !vetoDisabled })}>
+          {vetoDisabled ? 'Enable vetoes' : 'Disable vetoes'}
+        </button>
+      </div>
+
+      <div className="host-row">
+        <label className="host-privacy">
+          Privacy
+          <select
+            value={privacy}
+            onChange={(e) => onAction('setPrivacy', { privacy: e.target.value })}
+            className="input-field"
+          >
+            <option value="visible">Names and values visible</option>
+            <option value="anonymous">Anonymous values</option>
+            <option value="aggregate">Aggregate only</option>
+          </select>
+        </label>
+        <label className="host-privacy">
+          Collective value
+          <select
+            value={aggregation}
+            onChange={(e) => onAction('setAggregation', { aggregation: e.target.value })}
+            className="input-field"
+          >
+            <option value="mean">Mean</option>
+            <option value="median">Median</option>
+            <option value="trimmed">Trimmed mean (10%)</option>
+          </select>
+        </label>
+      </div>
+
+      <form className="host-row" onSubmit={handleListing}>
+        <label className="public-option">
+          <input
+            type="checkbox"
+            checked={listedDraft}
+            onChange={(e) => setListedDraft(e.target.checked)}
+          />
+          List in Live rooms
+        </label>
+        <input
+          type="text"
+          value={descriptionDraft}
+          onChange={(e) => setDescriptionDraft(e.target.value.slice(0, 200))}
+          className="input-field"
+          placeholder="Short description"
+        />
+        <button type="submit" className="btn btn-secondary">Apply listing</button>
+      </form>
+
+      <form className="host-rules" onSubmit={handleRules}>
+        <label>
+          Threshold (%)
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={rules.threshold ?? ''}
+            onChange={(e) => updateRule('threshold', e.target.value)}
+            className="input-field"
+          />
+        </label>
+        <label>
+          Vote window (s)
+          <input
+            type="number"
+            min={5}
+            max={300}
+            value={rules.duration ?? ''}
+            onChange={(e) => updateRule('duration', e.target.value)}
+            className="input-field"
+          />
+        </label>
+        <label>
+          Majority
+          <select
+            value={rules.majority || 'simple'}
+            onChange={(e) => updateRule('majority', e.target.value)}
+            className="input-field"
+          >
+            <option value="simple">Simple (1/2)</option>
+            <option value="super">Supermajority (2/3)</option>
+          </select>
+        </label>
+        <label>
+          Quorum
+          <input
+            type="number"
+            min={0}
+            value={rules.quorum ?? ''}
+            onChange={(e) => updateRule('quorum', e.target.value)}
+            className="input-field"
+          />
+        </label>
+        <label>
+          Quorum type
+          <select
+            value={rules.quorumType || 'percent'}
+            onChange={(e) => updateRule('quorumType', e.target.value)}
+            className="input-field"
+          >
+            <option value="percent">% of people</option>
+            <option value="count">Number of votes</option>
+          </select>
+        </label>
+        <label>
+          Cooldown (s)
+          <input
+            type="number"
+            min={0}
+            max={3600}
+            value={rules.cooldown ?? ''}
+            onChange={(e) => updateRule('cooldown', e.target.value)}
+            className="input-field"
+          />
+        </label>
+        <div className="host-row">
+          <button type="submit" className="btn btn-secondary">Apply veto rules</button>
+        </div>
+      </form>
+
+      <form className="host-agenda" onSubmit={handleAgenda}>
+        <label>
+          Agenda - one segment per line: Title | Speaker | minutes
+          <textarea
+            value={agendaText}
+            onChange={(e) => setAgendaText(e.target.value)}
+            className="input-field"
+            rows={4}
+            placeholder={'Welcome | Ana | 5\nKeynote | Sam | 30\nQ&A | 10'}
+          />
+        </label>
+        <div className="host-row">
+          <label className="public-option">
+            <input
+              type="checkbox"
+              checked={autoAdvance}
+              onChange={(e) => setAutoAdvance(e.target.checked)}
+            />
+            A passed veto skips to the next segment
+          </label>
+          <button type="submit" className="btn btn-secondary">Apply agenda</button>
+        </div>
+      </form>
+
+      <form className="host-rules" onSubmit={handleIdle}>
+        <label>
+          Idle dials
+          <select
+            value={idle.mode || 'off'}
+            onChange={(e) => updateIdle('mode', e.target.value)}
+            className="input-field"
+          >
+            <option value="off">Always count</option>
+            <option value="decay">Fade to neutral</option>
+            <option value="exclude">Stop counting</option>
+          </select>
+        </label>
+        <label>
+          Idle after (s)
+          <input
+            type="number"
+            min={30}
+            max={3600}
+            value={idle.idleSeconds ?? ''}
+            onChange={(e) => updateIdle('idleSeconds', e.target.value)}
+            className="input-field"
+          />
+        </label>
+        <label>
+          Fade half-life (s)
+          <input
+            type="number"
+            min={10}
+            max={3600}
+            value={idle.halfLife ?? ''}
+            onChange={(e) => updateIdle('halfLife', e.target.value)}
+            className="input-field"
+            disabled={idle.mode !== 'decay'}
+          />
+        </label>
+        <div className="host-row">
+          <button type="submit" className="btn btn-secondary">Apply idle rules</button>
+        </div>
+      </form>
+
+      {personalities.length > 0 && (
+        <div className="host-row">
+          <label className="host-privacy">
+            Simulated participant
+            <select
+              value={personality}
+              onChange={(e) => setPersonality(e.target.value)}
+              className="input-field"
+            >
+              {personalities.map((p) => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          </label>
+          <button className="btn btn-secondary" onClick={() => onAction('addBot', { personality })}>
+            🤖 Add bot
+          </button>
+        </div>
+      )}
+
+      {bots.length > 0 && (
+        <ul className="host-participants">
+          {bots.map((bot) => (
+            <li key={bot.id}>
+              <span>🤖 {bot.name}</span>
+              <button className="host-kick-btn" onClick={() => onAction('removeBot', { botId: bot.id })}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {veto && (
+        <div className="host-row">
+          <button className="btn btn-secondary" onClick={() => onAction('endVeto', { passed: true })}>
+            Force pass veto
+          </button>
+          <button className="btn btn-secondary" onClick={() => onAction('endVeto', { passed: false })}>
+            Cancel veto
+          </button>
+        </div>
+      )}
+
+      {participants.length > 0 && (
+        <ul className="host-participants">
+          {participants.map((user) => (
+            <li key={user.id}>
+              <span>{user.name || (privacy === 'anonymous' ? 'Someone' : 'Anonymous')}</span>
+              <button className="host-kick-btn" onClick={() => onAction('kick', { userId: user.id })}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HostPanel;
@@ -0,0 +1,164 @@
+import React, { useRef, useState } from 'react';
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// Collective boredom over time with veto markers - hover or drag to scrub
+const Timeline = ({
+  samples = [],
+  vetoes = [],
+  width = 640,
+  height = 140,
+  color = '#8b5cf6'
+}) => {
+  const svgRef = useRef(null);
+  const [scrubIndex, setScrubIndex] = useState(null);
+
+  const padding = { top: 12, right: 8, bottom: 20, left: 28 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  if (samples.length < 2) {
+    return (
+      <div className="timeline timeline-empty">
+        <p>Collecting history...</p>
+      </div>
+    );
+  }
+
+  const start = samples[0].timestamp;
+  const end = samples[samples.length - 1].timestamp;
+  const span = Math.max(1, end - start);
+
+  const timeToX = (t) => padding.left + ((t - start) / span) * plotWidth;
+  const valueToY = (val) => padding.top + (1 - val / 100) * plotHeight;
+
+  const linePath = samples
+    .map((s, i) => `${i === 0 ? 'M' : 'L'} ${timeToX(s.timestamp)} ${valueToY(s.average)}`)
+    .join(' ');
+  const areaPath = `${linePath} L ${timeToX(end)} ${valueToY(0)} L ${timeToX(start)} ${valueToY(0)} Z`;
+
+  const visibleVetoes = vetoes.filter(v => v.startedAt >= start && v.startedAt <= end);
+
+  // Find the sample nearest to the pointer
+  const handleScrub = (e) => {
+    const svg = svgRef.current;
+    if (!svg) return;
+
+    const rect = svg.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * width;
+    const t = start + ((x - padding.left) / plotWidth) * span;
+
+    let nearest = 0;
+    samples.forEach((s, i) => {
+      if (Math.abs(s.timestamp - t) < Math.abs(samples[nearest].timestamp - t)) {
+        nearest = i;
+      }
+    });
+    setScrubIndex(nearest);
+  };
+
+  const scrubbed = scrubIndex !== null ? samples[scrubIndex] : null;
+
+  return (
+    <div className="timeline">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        onPointerMove={handleScrub}
+        onPointerDown={handleScrub}
+        onPointerLeave={() => setScrubIndex(null)}
+      >
+        {/* Grid lines */}
+        {[0, 50, 100].map((val) => (
+          <g key={val}>
+            <line
+              x1={padding.left}
+              y1={valueToY(val)}
+              x2={width - padding.right}
+              y2={valueToY(val)}
+              stroke="#27273a"
+              strokeWidth={1}
+            />
+            <text x={padding.left - 6} y={valueToY(val) + 3} textAnchor="end" fill="#71717a" fontSize={9}>
+              {val}
+            </text>
+          </g>
+        ))}
+
+        {/* Average line */}
+        <path d={areaPath} fill={color} opacity={0.12} />
+        <path d={linePath} fill="none" stroke={color} strokeWidth={2} strokeLinejoin="round" />
+
+        {/* Veto markers */}
+        {visibleVetoes.map((veto) => {
+          const x = timeToX(veto.startedAt);
+          const vetoColor = veto.passed === undefined ? '#fbbf24' : veto.passed ? '#ef4444' : '#71717a';
+          return (
+            <g key={veto.startedAt}>
+              <line
+                x1={x}
+                y1={padding.top}
+                x2={x}
+                y2={padding.top + plotHeight}
+                stroke={vetoColor}
+                strokeWidth={2}
+                strokeDasharray="4 3"
+              />
+              <circle cx={x} cy={padding.top} r={4} fill={vetoColor}>
+                <title>
+                  {`Veto by ${veto.initiator} - ${veto.passed === undefined ? 'in progress' : veto.passed ? 'passed' : 'failed'}`}
+                </title>
+              </circle>
+            </g>
+          );
+        })}
+
+        {/* Time axis labels */}
+        <text x={padding.left} y={height - 4} fill="#71717a" fontSize={9}>
+          {formatTime(start)}
+        </text>
+        <text x={width - padding.right} y={height - 4} textAnchor="end" fill="#71717a" fontSize={9}>
+          {formatTime(end)}
+        </text>
+
+        {/* Scrub cursor */}
+        {scrubbed && (
+          <g>
+            <line
+              x1={timeToX(scrubbed.timestamp)}
+              y1={padding.top}
+              x2={timeToX(scrubbed.timestamp)}
+              y2={padding.top + plotHeight}
+              stroke="#e4e4e7"
+              strokeWidth={1}
+            />
+            <circle
+              cx={timeToX(scrubbed.timestamp)}
+              cy={valueToY(scrubbed.average)}
+              r={4}
+              fill="#ffffff"
+              stroke={color}
+              strokeWidth={2}
+            />
+          </g>
+        )}
+      </svg>
+
+      <div className="timeline-readout">
+        {scrubbed ? (
+          <>
+            <span>{formatTime(scrubbed.timestamp)}</span>
+            <strong>{scrubbed.average}</strong>
+            <span>{scrubbed.count} {scrubbed.count === 1 ? 'person' : 'people'}</span>
+          </>
+        ) : (
+          <span>Drag across the chart to scrub through the session</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Timeline;